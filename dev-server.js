@@ -13,7 +13,7 @@ var util = require("util");
  * Returns true if the response should be compressed.
  */
 function compressionFilter(req, res) {
-    return (/json|text|javascript|font/).test(res.getHeader('Content-Type'));
+    return (/json|text|javascript|font|octet-stream/).test(res.getHeader('Content-Type'));
 }
 
 /**
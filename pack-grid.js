@@ -0,0 +1,89 @@
+/**
+ * pack-grid - converts a JSON grid file into the binary grid format read by products.js (see decodeGrid).
+ *
+ * usage: node pack-grid.js <input.json> <output.bin> [float32 | int16 <scaleFactor> [addOffset]]
+ *
+ * Float32 is the default. Int16 halves the size again, storing round((value - addOffset) / scaleFactor), so pick a
+ * scale factor that covers the range of the data: for example, 0.01 stores ±327 m of sea level change to the cm.
+ * Missing values (null) are stored as NaN for float32 and as -32768 for int16.
+ *
+ * The binary file starts with a descriptor, then holds the data of each record in turn:
+ *
+ *     uint32         length n of the descriptor in bytes, little-endian
+ *     n bytes        descriptor: the records of the JSON file without their data, each given an encoding, as an
+ *                    ASCII JSON array padded with spaces so the payloads start on a four byte boundary
+ *     payloads       the data of each record, as little-endian float32 or int16 values, each payload padded with
+ *                    zeros to a multiple of four bytes
+ *
+ * An encoding is {type: "float32"} or {type: "int16", scaleFactor:, addOffset:, missingValue: -32768}. Cubes keep
+ * their time array, and their payload holds every slice in time order.
+ */
+
+"use strict";
+
+var fs = require("fs");
+
+var INT16_MISSING = -32768;
+
+function pad4(n) {
+    return (4 - n % 4) % 4;
+}
+
+function encodingFor(args) {
+    if (args[0] === "int16") {
+        return {type: "int16", scaleFactor: +args[1], addOffset: +(args[2] || 0), missingValue: INT16_MISSING};
+    }
+    return {type: "float32"};
+}
+
+function zeros(n) {
+    var buffer = new Buffer(n);  // not zero filled by old versions of node, so fill it to keep the padding zero
+    buffer.fill(0);
+    return buffer;
+}
+
+function encodeData(data, encoding) {
+    var size = encoding.type === "int16" ? 2 : 4;
+    var buffer = zeros(data.length * size + pad4(data.length * size));
+    data.forEach(function(x, i) {
+        if (encoding.type === "float32") {
+            return buffer.writeFloatLE(x === null ? NaN : x, i * 4);
+        }
+        var v = x === null ? INT16_MISSING : Math.round((x - encoding.addOffset) / encoding.scaleFactor);
+        if (v !== INT16_MISSING && (v < -32767 || v > 32767)) {
+            throw new Error("value " + x + " out of range for scale factor " + encoding.scaleFactor);
+        }
+        buffer.writeInt16LE(v, i * 2);
+    });
+    return buffer;
+}
+
+var input = process.argv[2], output = process.argv[3];
+if (!input || !output) {
+    console.error("usage: node pack-grid.js <input.json> <output.bin> [float32 | int16 <scaleFactor> [addOffset]]");
+    process.exit(1);
+}
+
+var records = JSON.parse(fs.readFileSync(input, "utf8"));
+var encoding = encodingFor(process.argv.slice(4));
+
+var payloads = records.map(function(record) {
+    return encodeData(record.data, encoding);
+});
+var descriptor = JSON.stringify(records.map(function(record) {
+    var result = {};
+    Object.keys(record).forEach(function(key) {
+        if (key !== "data") {
+            result[key] = record[key];
+        }
+    });
+    result.encoding = encoding;
+    return result;
+})).replace(/[\u007f-\uffff]/g, function(c) {
+    return "\\u" + ("000" + c.charCodeAt(0).toString(16)).slice(-4);  // keep the descriptor ASCII
+});
+descriptor += new Array(pad4(4 + descriptor.length) + 1).join(" ");
+
+var length = zeros(4);
+length.writeUInt32LE(descriptor.length, 0);
+fs.writeFileSync(output, Buffer.concat([length, new Buffer(descriptor, "ascii")].concat(payloads)));
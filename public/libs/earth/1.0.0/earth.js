@@ -12,6 +12,7 @@
     var SECOND = 1000;
     var MINUTE = 60 * SECOND;
     var HOUR = 60 * MINUTE;
+    var MAP_PATHS = "#map path, #foreground > path";  // GeoJSON paths redrawn as the globe moves, unlike markers
     var MAX_TASK_TIME = 100;                  // amount of time before a task yields control (millis)
     var MIN_SLEEP_TIME = 25;                  // amount of time a task waits before resuming (millis)
     var MIN_MOVE = 4;                         // slack before a drag operation beings (pixels)
@@ -24,6 +25,18 @@
     var PARTICLE_MULTIPLIER = 7;              // particle count scalar (completely arbitrary--this values looks nice)
     var PARTICLE_REDUCTION = 0.75;            // reduce particle count to this much of normal for mobile devices
     var FRAME_RATE = 40;                      // desired milliseconds per frame
+    var PLAYBACK_FRAME_TIME = 1000;           // time each epoch is shown during playback at normal speed (millis)
+    var PLAYBACK_SPEEDS = [1, 2, 4];          // playback speed multipliers, cycled by the speed button
+    var SHORELINE_RESOLUTION = 0.5;           // spacing of the lattice the shoreline is traced on (degrees)
+    var ISOLINE_RESOLUTION = 1;               // spacing of the lattice isolines are traced on (degrees)
+    var ICE_MARGIN_RESOLUTION = 0.5;          // spacing of the lattice the ice margin is traced on (degrees)
+    var MIN_LABELED_LENGTH = 20;              // points an isoline needs before it gets a label
+    var HISTORY_MARGIN = {top: 6, right: 6, bottom: 16, left: 32};  // room for the axes of the RSL history (pixels)
+    var INDEX_POINT_SIZE = 40;                // area of an index point marker (square pixels)
+    var INDEX_POINT_SYMBOLS = {index: "circle", marine: "triangle-up", terrestrial: "triangle-down"};
+    var FIT_TIME_WINDOW = 2000;               // width of the windows of time the fit is summarized by (years)
+    var TREND_PERIODS = [[null, null], [1900, null], [1950, null], [1993, null]];  // tide gauge trend periods
+    var TIDE_GAUGE_SIZE = 36;                 // area of a tide gauge marker (square pixels)
 
     var NULL_WIND_VECTOR = [NaN, NaN, null];  // singleton for undefined location outside the vector field [u, v, mag]
     var HOLE_VECTOR = [NaN, NaN, null];       // singleton that signifies a hole in the vector field
@@ -82,6 +95,15 @@
     var fieldAgent = newAgent();     // the interpolated wind vector field
     var animatorAgent = newAgent();  // the wind animator
     var overlayAgent = newAgent();   // color overlay over the animation
+    var shorelineAgent = newAgent(); // the paleo-shoreline of the current epoch
+    var isolineAgent = newAgent();   // the isolines of the overlay
+    var iceMarginAgent = newAgent(); // the ice margin of the current epoch
+    var historyAgent = newAgent();   // the RSL history of the clicked location
+    var indexPointAgent = newAgent(); // the sea-level index points chosen by the user
+    var misfitAgent = newAgent();    // the index points compared with the model
+    var tideGaugeAgent = newAgent(); // the tide gauges chosen by the user
+    var giaRateAgent = newAgent();   // the tide gauges with the modelled GIA rate at each
+    var playback = buildPlayback();  // steps through paleo epochs as a time-lapse
 
     /**
      * The input controller is an object that translates move operations (drag and/or zoom) into mutations of the
@@ -205,6 +227,84 @@
         return dispatch.listenTo(configuration, "change:orientation", reorient);
     }
 
+    /**
+     * The playback controller produces a time-lapse by stepping the configuration through the primary grid's
+     * epochs, from the current one towards the most recent. Each step is an ordinary configuration change, so the
+     * grid, field, and overlay agents rebuild as usual, but the previous frame stays on screen until the next one
+     * replaces it. The next step is scheduled only after the field for the current step has been interpolated, so
+     * slow downloads or interpolations delay playback rather than pile up. The field is built whether or not an
+     * overlay is shown, so playback also advances with the overlay set to "None".
+     *
+     * This object emits "change" events when playback starts, stops, or changes speed.
+     */
+    function buildPlayback() {
+        var playing = false, speed = 0, timer = null, gridReady = false;
+
+        function epochAfter(grid) {
+            // Epochs are ordered oldest first, so the next one is the first that is more recent.
+            return _.find(grid && grid.epochs || [], function(e) { return e < grid.epoch; });
+        }
+
+        function step() {
+            timer = null;
+            var grid = (gridAgent.value() || {}).primaryGrid, next = epochAfter(grid);
+            if (!playing || !µ.isValue(next)) {
+                return dispatch.stop();
+            }
+            gridReady = false;
+            configuration.save(µ.dateToConfig(next));
+        }
+
+        var dispatch = _.extend({
+            isPlaying: function() {
+                return playing;
+            },
+            speed: function() {
+                return PLAYBACK_SPEEDS[speed];
+            },
+            start: function() {
+                var grid = (gridAgent.value() || {}).primaryGrid;
+                if (playing || !grid || _.size(grid.epochs) < 2) return this;
+                playing = true;
+                gridReady = false;
+                if (!µ.isValue(epochAfter(grid))) {
+                    // Already at the most recent epoch, so start over from the oldest.
+                    configuration.save(µ.dateToConfig(_.first(grid.epochs)));
+                }
+                else {
+                    timer = setTimeout(step, 0);
+                }
+                return this.trigger("change");
+            },
+            stop: function() {
+                clearTimeout(timer);
+                timer = null;
+                playing = false;
+                return this.trigger("change");
+            },
+            nextSpeed: function() {
+                speed = (speed + 1) % PLAYBACK_SPEEDS.length;
+                return this.trigger("change");
+            }
+        }, Backbone.Events);
+
+        dispatch.listenTo(gridAgent, "update", function() {
+            gridReady = true;
+        });
+        dispatch.listenTo(gridAgent, "reject", function() {
+            if (playing) dispatch.stop();
+        });
+        dispatch.listenTo(fieldAgent, "update", function() {
+            if (playing && gridReady && !timer) {
+                gridReady = false;
+                timer = setTimeout(step, PLAYBACK_FRAME_TIME / PLAYBACK_SPEEDS[speed]);
+            }
+        });
+        return dispatch.listenTo(configuration, "change:param", function() {
+            if (playing) dispatch.stop();
+        });
+    }
+
     /**
      * @param resource the GeoJSON resource's URL
      * @returns {Object} a promise for GeoJSON topology features: {boundaryLo:, boundaryHi:}
@@ -246,7 +346,9 @@
     var downloadsInProgress = 0;
 
     function buildGrids() {
-        report.status("Downloading...");
+        if (!playback.isPlaying()) {
+            report.status("Downloading...");  // too noisy to report every step of playback
+        }
         log.time("build grids");
         // UNDONE: upon failure to load a product, the unloaded product should still be stored in the agent.
         //         this allows us to use the product for navigation and other state.
@@ -315,7 +417,7 @@
         // if (reliefLayer.empty()) {
         //     reliefLayer = d3.select("#map").insert("g", ":first-child").attr("class", "relief-layer");
         // }
-        d3.selectAll("path").attr("d", path);  // do an initial draw -- fixes issue with safari
+        d3.selectAll(MAP_PATHS).attr("d", path);  // do an initial draw -- fixes issue with safari
 
         function drawLocationMark(point, coord) {
             // show the location on the map if defined
@@ -363,7 +465,7 @@
         }
 
         function doDraw() {
-            d3.selectAll("path").attr("d", path);
+            d3.selectAll(MAP_PATHS).attr("d", path);
             globe.drawRelief(view, globe.projection);
             rendererAgent.trigger("redraw");
             doDraw_throttled = _.throttle(doDraw, REDRAW_WAIT, {leading: false});
@@ -392,7 +494,7 @@
                     lakes.datum(mesh.lakesHi);
                     globe.useReliefLo = false;
                     doDraw();
-                    d3.selectAll("path").attr("d", path);
+                    d3.selectAll(MAP_PATHS).attr("d", path);
                     rendererAgent.trigger("render");
                 },
                 click: drawLocationMark
@@ -456,8 +558,8 @@
          *          is undefined at that point.
          */
         function field(x, y) {
-            var column = columns[Math.round(x)];
-            return column && column[Math.round(y)] || NULL_WIND_VECTOR;
+            var column = columns[Math.round(x)], value = column && column[Math.round(y)];
+            return µ.isValue(value) ? value : NULL_WIND_VECTOR;  // scalar fields may hold 0, a defined value
         }
 
         /**
@@ -606,8 +708,8 @@
         if (!globe || !grids) return null;
 
         var mask = createMask(globe);
-        var primaryGrid = grids.primaryGrid;
         var overlayGrid = grids.overlayGrid;
+        var vectorGrid = products.vectorGridOf(grids);
 
         log.time("interpolating field");
         var d = when.defer(), cancel = this.cancel;
@@ -615,14 +717,14 @@
         var projection = globe.projection;
         var bounds = globe.bounds(view);
         // How fast particles move on the screen (arbitrary value chosen for aesthetics).
-        var velocityScale = bounds.height * primaryGrid.particles.velocityScale;
+        var velocityScale = vectorGrid ? bounds.height * vectorGrid.particles.velocityScale : 0;
 
         var columns = [];
         var point = [];
         var x = bounds.x;
-        var interpolate = primaryGrid.interpolate;
+        var interpolate = vectorGrid && vectorGrid.interpolate;
         var overlayInterpolate = overlayGrid.interpolate;
-        var hasDistinctOverlay = (primaryGrid !== overlayGrid);
+        var hasDistinctOverlay = (vectorGrid !== overlayGrid);
         var scale = overlayGrid.scale;
 
         function interpolateColumn(x) {
@@ -637,7 +739,7 @@
                     if (coord) {
                         var λ = coord[0], φ = coord[1];
                         if (isFinite(λ)) {
-                            if (primaryGrid.type !== "gia") {
+                            if (vectorGrid) {
                                 wind = interpolate(λ, φ);
                                 
                                 if (wind) {
@@ -652,14 +754,16 @@
                                 }
                             } else {
                                 scalar = overlayInterpolate(λ, φ);
-                                color = scale.gradient(scalar, OVERLAY_ALPHA);
+                                if (µ.isValue(scalar)) {
+                                    color = scale.gradient(scalar, OVERLAY_ALPHA);
+                                }
                             }
                         }
                     }
-                    if (µ.isValue(wind)) {
+                    if (vectorGrid) {
                         column[y+1] = column[y] = wind || HOLE_VECTOR;
                     } else {
-                        column[y+1] = column[y] = scalar;
+                        column[y+1] = column[y] = µ.isValue(scalar) ? scalar : HOLE_VECTOR;  // e.g., masked points
                     }
                     mask.set(x, y, color).set(x+1, y, color).set(x, y+1, color).set(x+1, y+1, color);
                 }
@@ -678,7 +782,9 @@
                         x += 2;
                         if ((Date.now() - start) > MAX_TASK_TIME) {
                             // Interpolation is taking too long. Schedule the next batch for later and yield.
-                            report.progress((x - bounds.x) / (bounds.xMax - bounds.x));
+                            if (!playback.isPlaying()) {  // a progress bar every step of playback is a blink
+                                report.progress((x - bounds.x) / (bounds.xMax - bounds.x));
+                            }
                             setTimeout(batchInterpolate, MIN_SLEEP_TIME);
                             return;
                         }
@@ -697,12 +803,13 @@
     }
 
     function animate(globe, field, grids) {
-        if (!globe || !field || !grids) return;
+        var vectorGrid = products.vectorGridOf(grids);
+        if (!globe || !field || !vectorGrid) return;
 
         var cancel = this.cancel;
         var bounds = globe.bounds(view);
         // maxIntensity is the velocity at which particle color intensity is maximum
-        var colorStyles = µ.windIntensityColorScale(INTENSITY_SCALE_STEP, grids.primaryGrid.particles.maxIntensity);
+        var colorStyles = µ.windIntensityColorScale(INTENSITY_SCALE_STEP, vectorGrid.particles.maxIntensity);
         var buckets = colorStyles.map(function() { return []; });
         var particleCount = Math.round(bounds.width * PARTICLE_MULTIPLIER);
         if (µ.isMobile()) {
@@ -808,19 +915,462 @@
         });
     }
 
+    /**
+     * Traces the shoreline of the grids' epoch: the zero contour of present-day topography minus RSL.
+     *
+     * @returns {Object} a promise for the shoreline: {contour: GeoJSON, areas: {exposed:, flooded:}}, or null if
+     *          the shoreline is not shown.
+     */
+    function buildShoreline(grids) {
+        if (!grids || grids.primaryGrid.type !== "gia" || !configuration.get("showShoreline")) return null;
+
+        var cancel = this.cancel;
+        return products.paleotopography(grids.primaryGrid).then(function(grid) {
+            if (cancel.requested) return null;
+            log.time("tracing shoreline");
+            var shoreline = {
+                contour: products.contour(grid, [0], SHORELINE_RESOLUTION),
+                areas: products.landAreaChange(grid, SHORELINE_RESOLUTION)
+            };
+            log.timeEnd("tracing shoreline");
+            return shoreline;
+        });
+    }
+
+    /**
+     * Draws GeoJSON as the map's path of the specified class, creating the path before the specified sibling if
+     * needed. Like all paths of the map, it is then redrawn as the globe moves.
+     *
+     * @returns {Boolean} true if the path was drawn, or false if it was removed because there is nothing to draw.
+     */
+    function drawMapPath(className, geojson, before) {
+        var globe = globeAgent.value(), path = d3.select("#map ." + className);
+        if (!geojson || !globe) {
+            path.remove();
+            return false;
+        }
+        if (path.empty()) {
+            path = d3.select("#map").insert("path", before).attr("class", className);
+        }
+        path.datum(geojson).attr("d", d3.geo.path().projection(globe.projection));
+        return true;
+    }
+
+    function drawShoreline(shoreline) {
+        if (!drawMapPath("shoreline", shoreline && shoreline.contour, ".lakes")) {  // next to the coastline
+            d3.select("#shoreline-areas").text("");
+            return;
+        }
+        var areas = shoreline.areas;
+        d3.select("#shoreline-areas").text(
+            "exposed " + (areas.exposed / 1e6).toFixed(2) + " M km² · flooded " +
+            (areas.flooded / 1e6).toFixed(2) + " M km²");
+    }
+
+    /**
+     * Traces the margin of the ice sheets at the grids' epoch: the contour where the ice thins out.
+     *
+     * @returns {Object} a promise for the margin as GeoJSON, or null if the margin is not shown.
+     */
+    function buildIceMargin(grids) {
+        if (!grids || grids.primaryGrid.type !== "gia" || !configuration.get("showIceMargin")) return null;
+
+        var cancel = this.cancel;
+        var attr = _.extend({}, configuration.attributes, {epoch: grids.primaryGrid.epoch});
+        var ice = grids.overlayGrid.type === "ice" ? when(grids.overlayGrid) : products.iceThickness(attr, cancel);
+        return ice.then(function(grid) {
+            if (cancel.requested || !grid) return null;
+            return products.iceMargin(grid, ICE_MARGIN_RESOLUTION);
+        });
+    }
+
+    function drawIceMargin(margin) {
+        drawMapPath("ice-margin", margin, ".lakes");
+    }
+
+    /**
+     * @returns {Number} the interval next to x in the series 1, 2, 5, 10, 20, 50...: the one above x if step is
+     *          positive, otherwise the one below.
+     */
+    function stepInterval(x, step) {
+        var magnitude = Math.pow(10, Math.floor(Math.log(x) / Math.LN10)), mantissa = x / magnitude;
+        var next = step > 0 ?
+            _.find([1, 2, 5, 10, 20], function(c) { return c > mantissa * 1.000001; }) :
+            _.find([10, 5, 2, 1, 0.5], function(c) { return c < mantissa * 0.999999; });
+        return +(next * magnitude).toPrecision(6);
+    }
+
+    /**
+     * @returns {Number} the usual interval between isolines of the grid: either the one its product declares or one
+     *          that yields about ten isolines across its color scale.
+     */
+    function defaultContourInterval(grid) {
+        var bounds = grid.scale.bounds;
+        return grid.contourInterval || stepInterval((bounds[1] - bounds[0]) / 10, -1);
+    }
+
+    /**
+     * Traces the isolines of the overlay grid, if it is scalar, at the configured interval.
+     *
+     * @returns {Object} the isolines: {contour: GeoJSON, labels: [{coord: [λ, φ], text:}, ...]}, or null if
+     *          isolines are not shown.
+     */
+    function buildIsolines(grids) {
+        var interval = configuration.get("contourInterval"), grid = grids && grids.overlayGrid;
+        if (!µ.isValue(interval) || !grid || grid.field !== "scalar") return null;
+
+        log.time("tracing isolines");
+        var contour = products.contour(grid, interval, ISOLINE_RESOLUTION), units = grid.units[0], labels = [];
+        contour.features.forEach(function(feature) {
+            var text = µ.formatScalar(feature.properties.level, units);
+            feature.geometry.coordinates.forEach(function(line) {
+                if (line.length >= MIN_LABELED_LENGTH) {
+                    labels.push({coord: line[Math.floor(line.length / 2)], text: text});
+                }
+            });
+        });
+        log.timeEnd("tracing isolines");
+        return {contour: contour, labels: labels};
+    }
+
+    function drawIsolines(isolines) {
+        var labels = d3.select(".isoline-labels");
+        if (!drawMapPath("isolines", isolines && isolines.contour, ".coastline")) {  // beneath the coastline
+            labels.remove();
+            return;
+        }
+        if (labels.empty()) {
+            labels = d3.select("#foreground").append("g").attr("class", "isoline-labels");
+        }
+        var text = labels.selectAll("text").data(isolines.labels);
+        text.enter().append("text");
+        text.exit().remove();
+        text.text(function(d) { return d.text; });
+        moveIsolineLabels();
+    }
+
+    /**
+     * @returns {Function} a function that projects [λ, φ] onto the globe, returning [x, y], or null if the point is
+     *          out of view. The clipping behavior of a projection stream finds the visible points, as for grid points.
+     */
+    function visibleProjection(globe) {
+        var point = null;
+        var stream = globe.projection.stream({
+            point: function(x, y) {
+                point = [x, y];
+            }
+        });
+        return function(coord) {
+            point = null;
+            stream.point(coord[0], coord[1]);
+            return point;
+        };
+    }
+
+    /**
+     * Moves the isoline labels to their positions in the current projection, hiding those out of view.
+     */
+    function moveIsolineLabels() {
+        var globe = globeAgent.value();
+        if (!globe) return;
+
+        var project = visibleProjection(globe);
+        d3.selectAll(".isoline-labels text").each(function(d) {
+            var point = project(d.coord);
+            d3.select(this)
+                .attr("display", point ? null : "none")
+                .attr("x", point ? point[0] : 0)
+                .attr("y", point ? point[1] : 0);
+        });
+    }
+
+    /**
+     * Reads a file of sea-level index points chosen by the user.
+     *
+     * @returns {Object} a promise for {name:, points: [...]}. See observations.parseIndexPoints.
+     */
+    function readIndexPoints(file) {
+        return µ.readFile(file).then(function(text) {
+            return {name: file.name, points: observations.parseIndexPoints(text, file.name)};
+        });
+    }
+
+    /**
+     * Compares the index points with the model at the age of each point.
+     *
+     * @returns {Object} a promise for {name:, points: [...]}, each point having its model value and misfit, or null
+     *          if there are no index points or GIA mode is off.
+     */
+    function buildMisfits(indexPoints) {
+        if (!indexPoints || configuration.get("param") !== "gia") return null;
+
+        var cancel = this.cancel;
+        log.time("comparing index points");
+        var points = observations.compareIndexPoints(indexPoints.points, configuration.attributes, cancel);
+        return points.then(function(points) {
+            log.timeEnd("comparing index points");
+            return points && {name: indexPoints.name, points: points};
+        });
+    }
+
+    /**
+     * Draws the index points as markers colored by their misfit. Limiting points are triangles pointing to the side
+     * of the observation where sea level lay.
+     */
+    function drawIndexPoints(misfits) {
+        var markers = d3.select(".index-points");
+        if (!misfits) {
+            markers.remove();
+            d3.select("#index-points-summary").text("");
+            return;
+        }
+        if (markers.empty()) {
+            markers = d3.select("#foreground").append("g").attr("class", "index-points");
+        }
+        var symbol = d3.svg.symbol().size(INDEX_POINT_SIZE).type(function(d) { return INDEX_POINT_SYMBOLS[d.type]; });
+        var marker = markers.selectAll("path").data(misfits.points);
+        marker.enter().append("path");
+        marker.exit().remove();
+        marker.attr("d", symbol)
+            .style("fill", function(d) { return observations.misfitColor(d.misfit); })
+            .on("click", function(d) {
+                showObservationAtLocation(d, showIndexPoint);
+            });
+        moveMarkers(".index-points path");
+
+        var compared = misfits.points.filter(function(d) { return µ.isValue(d.misfit); }).length;
+        d3.select("#index-points-summary").text(misfits.name + " · " + compared + " of " + misfits.points.length);
+    }
+
+    // True if the user has closed the panel of fit statistics.
+    var statisticsHidden = false;
+
+    /**
+     * Shows how well the model fits the compared observations: the index points overall, by region, and by window of
+     * time, and the tide gauges overall, their residuals being the GIA rate minus the trend over the current period.
+     */
+    function drawStatistics(misfits, tideGauges) {
+        var show = !!(misfits || tideGauges) && !statisticsHidden;
+        d3.select("#statistics").classed("invisible", !show);
+        d3.select("#index-points-fit").classed("highlighted", show);
+        if (!show) return;
+
+        var names = [misfits && misfits.name, tideGauges && tideGauges.name].filter(µ.isTruthy);
+        d3.select("#statistics-title").text("Fit to " + names.join(" · "));
+        d3.select("#statistics-summary").text(misfits ?
+            describeFit(observations.fitStatistics(misfits.points), misfits.points.length, "m") : "");
+        var trends = tideGauges ? tideGaugeTrends(tideGauges) : [];
+        d3.select("#statistics-gauges").text(tideGauges ?
+            "tide gauges " + describePeriod(TREND_PERIODS[trendPeriod]) + " · " +
+            describeFit(observations.fitStatistics(trends), trends.length, "mm/yr") : "");
+        drawStatisticsTable("#statistics-regions", "Region",
+            misfits ? observations.groupStatistics(misfits.points, observations.regionOf) : null);
+        drawStatisticsTable("#statistics-windows", "Age",
+            misfits ? observations.groupStatistics(misfits.points, observations.timeWindow(FIT_TIME_WINDOW)) : null);
+    }
+
+    function describeFit(stats, total, units) {
+        return "n " + stats.n + " of " + total +
+            " · chi² " + formatStatistic(stats.chiSquared, 1) +
+            " · mean chi² " + formatStatistic(stats.meanChiSquared, 2) +
+            " · rms " + formatStatistic(stats.rms, 2) + " " + units +
+            " · bias " + formatStatistic(stats.bias, 2) + " " + units;
+    }
+
+    function formatStatistic(x, digits) {
+        return µ.isValue(x) ? x.toFixed(digits) : "-";
+    }
+
+    /**
+     * Fills the table having the specified id with the statistics of each group, one row per group, or empties it
+     * if there are no groups.
+     */
+    function drawStatisticsTable(id, heading, groups) {
+        var table = d3.select(id);
+        µ.removeChildren(table.node());
+        if (!groups) return;
+        var rows = [[heading, "n", "mean chi²", "rms m", "bias m"]].concat(groups.map(function(g) {
+            return [
+                g.label,
+                g.n + "/" + g.total,
+                formatStatistic(g.meanChiSquared, 2),
+                formatStatistic(g.rms, 2),
+                formatStatistic(g.bias, 2)
+            ];
+        }));
+        table.selectAll("tr").data(rows).enter().append("tr")
+            .selectAll("td").data(_.identity).enter().append("td").text(_.identity);
+    }
+
+    /**
+     * Reads the PSMSL files of tide gauges chosen by the user: a station list and the annual means of each station.
+     *
+     * @returns {Object} a promise for the tide gauges. See observations.parseTideGauges.
+     */
+    function readTideGauges(files) {
+        return when.map(files, function(file) {
+            return µ.readFile(file).then(function(text) {
+                return {name: file.name, text: text};
+            });
+        }).then(observations.parseTideGauges);
+    }
+
+    /**
+     * Samples the present-day GIA rate of the model at each tide gauge.
+     *
+     * @returns {Object} a promise for {name:, stations: [...]}, each station having its giaRate in mm/yr, or null
+     *          if there are no tide gauges or GIA mode is off.
+     */
+    function buildGiaRates(tideGauges) {
+        if (!tideGauges || configuration.get("param") !== "gia") return null;
+
+        var cancel = this.cancel;
+        return products.presentGiaRate(configuration.attributes, cancel).then(function(grid) {
+            if (!grid) return null;
+            return {
+                name: tideGauges.name,
+                stations: tideGauges.stations.map(function(station) {
+                    return _.extend({}, station, {giaRate: grid.interpolate(station.lon, station.lat)});
+                })
+            };
+        });
+    }
+
+    // Index into TREND_PERIODS of the period of the tide gauge trends, and true if the user has closed the table.
+    var trendPeriod = 0;
+    var trendTableHidden = false;
+
+    function describePeriod(period) {
+        return µ.isValue(period[0]) ? "since " + period[0] : "all years";
+    }
+
+    function formatRate(x) {
+        return µ.isValue(x) ? x.toFixed(2) : "-";
+    }
+
+    /**
+     * @returns {Array} the trend of each tide gauge over the current period. See observations.tideGaugeTrend.
+     */
+    function tideGaugeTrends(tideGauges) {
+        return tideGauges.stations.map(function(station) {
+            return observations.tideGaugeTrend(station, TREND_PERIODS[trendPeriod]);
+        });
+    }
+
+    function drawTideGauges(tideGauges) {
+        var markers = d3.select(".tide-gauges");
+        d3.select("#tide-gauges-period").text(describePeriod(TREND_PERIODS[trendPeriod]));
+        drawTrendTable(tideGauges);
+        drawStatistics(misfitAgent.value(), tideGauges);
+        if (!tideGauges) {
+            markers.remove();
+            return;
+        }
+        if (markers.empty()) {
+            markers = d3.select("#foreground").append("g").attr("class", "tide-gauges");
+        }
+        var marker = markers.selectAll("path").data(tideGauges.stations);
+        marker.enter().append("path");
+        marker.exit().remove();
+        marker.attr("d", d3.svg.symbol().size(TIDE_GAUGE_SIZE).type("square"))
+            .on("click", function(d) {
+                showObservationAtLocation(d, showTideGauge);
+            });
+        moveMarkers(".tide-gauges path");
+    }
+
+    /**
+     * Shows, for each tide gauge, the trend over the current period, the modelled GIA rate, and the trend corrected
+     * for GIA.
+     */
+    function drawTrendTable(tideGauges) {
+        var show = !!tideGauges && !trendTableHidden;
+        d3.select("#trends").classed("invisible", !show);
+        d3.select("#tide-gauges-table").classed("highlighted", show);
+        if (!show) return;
+
+        d3.select("#trends-title").text("Tide gauges · " + describePeriod(TREND_PERIODS[trendPeriod]));
+        var rows = [["Station", "years", "trend mm/yr", "GIA mm/yr", "corrected mm/yr"]];
+        tideGaugeTrends(tideGauges).forEach(function(d) {
+            var trend = µ.isValue(d.trend) ? formatRate(d.trend) + " ± " + formatRate(d.trendError) : "-";
+            rows.push([d.name, d.n, trend, formatRate(d.giaRate), formatRate(d.corrected)]);
+        });
+        var table = d3.select("#trends-table");
+        µ.removeChildren(table.node());
+        table.selectAll("tr").data(rows).enter().append("tr")
+            .selectAll("td").data(_.identity).enter().append("td").text(_.identity);
+    }
+
+    /**
+     * Saves the list of tide gauges as CSV, with the span of their annual means.
+     */
+    function saveTideGaugeStations(tideGauges) {
+        var rows = [["id", "name", "latitude", "longitude", "coastline", "station_code", "first_year", "last_year",
+            "years"]];
+        tideGauges.stations.forEach(function(d) {
+            var first = _.first(d.series), last = _.last(d.series);
+            rows.push([d.id, d.name, d.lat, d.lon, d.coastline, d.code, first && first.year, last && last.year,
+                d.series.length]);
+        });
+        µ.saveFile("tide-gauge-stations.csv", d3.csv.formatRows(rows) + "\n", "text/csv");
+    }
+
+    /**
+     * Saves the table of tide gauge trends as CSV. Rates are in mm/yr, and errors are standard errors.
+     */
+    function saveTrendTable(tideGauges) {
+        var rows = [["id", "name", "latitude", "longitude", "first_year", "last_year", "years", "trend",
+            "trend_error", "gia_rate", "corrected_trend"]];
+        tideGaugeTrends(tideGauges).forEach(function(d) {
+            rows.push([d.id, d.name, d.lat, d.lon, d.first, d.last, d.n, d.trend, d.trendError, d.giaRate,
+                d.corrected]);
+        });
+        µ.saveFile("tide-gauge-trends.csv", d3.csv.formatRows(rows) + "\n", "text/csv");
+    }
+
+    /**
+     * Moves the markers of the specified selector to the positions of their observations in the current projection,
+     * hiding those out of view.
+     */
+    function moveMarkers(selector) {
+        var globe = globeAgent.value();
+        if (!globe) return;
+
+        var project = visibleProjection(globe);
+        d3.selectAll(selector).each(function(d) {
+            var point = project([d.lon, d.lat]);
+            d3.select(this)
+                .attr("display", point ? null : "none")
+                .attr("transform", point ? "translate(" + point[0] + "," + point[1] + ")" : null);
+        });
+    }
+
+    function showIsolineInterval() {
+        var interval = configuration.get("contourInterval"), grid = (gridAgent.value() || {}).overlayGrid;
+        var units = grid && grid.field === "scalar" ? grid.units[0] : null;
+        d3.select("#isoline-interval").text(
+            µ.isValue(interval) && units ? "every " + µ.formatScalar(interval, units) + " " + units.label : "");
+    }
+
     function drawOverlay(field, overlayType) {
         if (!field) return;
 
         var ctx = d3.select("#overlay").node().getContext("2d"), grid = (gridAgent.value() || {}).overlayGrid;
 
-        µ.clearCanvas(d3.select("#overlay").node());
-        µ.clearCanvas(d3.select("#scale").node());
+        // New image data replaces every pixel of the canvas, so clear it only when there is none. Clearing first
+        // would blank the overlay between the frames of playback.
+        if (overlayType && overlayType !== "off") {
+            ctx.putImageData(field.overlay, 0, 0);
+        }
+        else {
+            µ.clearCanvas(d3.select("#overlay").node());
+        }
         if (overlayType) {
-            if (overlayType !== "off") {
-                ctx.putImageData(field.overlay, 0, 0);
-            }
             drawGridPoints(ctx, grid, globeAgent.value());
         }
+        if (!grid) {
+            µ.clearCanvas(d3.select("#scale").node());
+        }
 
         if (grid) {
             // Draw color bar for reference.
@@ -837,7 +1387,7 @@
                 var x = d3.mouse(this)[0];
                 var pct = µ.clamp((Math.round(x) - 2) / (n - 2), 0, 1);
                 var value = µ.spread(pct, bounds[0], bounds[1]);
-                var elementId = grid.type === "wind" ? "#location-wind-units" : "#location-value-units";
+                var elementId = grid.field === "vector" ? "#location-wind-units" : "#location-value-units";
                 var units = createUnitToggle(elementId, grid).value();
                 colorBar.attr("title", µ.formatScalar(value, units) + " " + units.label);
             });
@@ -873,7 +1423,8 @@
     }
 
     /**
-     * Display the grid's validity date in the menu. Allow toggling between local and UTC time.
+     * Display the grid's validity date in the menu. Allow toggling between local and UTC time. Paleo grids have
+     * an epoch rather than a date, which is displayed in ka BP and has no time zone to toggle.
      */
     function showDate(grids) {
         if (!grids || !grids.primaryGrid) {
@@ -881,17 +1432,76 @@
             d3.select("#toggle-zone").text("");
             return;
         }
-        if (grids.primaryGrid.type === "gia") {
-            var date = new Date(validityDate(grids)), isLocal = d3.select("#data-date").classed("local");
-            var formatted = isLocal ? µ.toLocalISO(date) : µ.toUTCISO(date); // just to make it not spit out error
-            d3.select("#data-date").text(grids.primaryGrid.date.getFullYear() + " years ago").classed("local", false);
+        var epoch = grids.primaryGrid.epoch;
+        if (µ.isValue(epoch)) {
+            d3.select("#data-date").text(µ.formatEpoch(epoch)).classed("local", false);
+            d3.select("#toggle-zone").text("");
+            return;
         }
-        else {
-            var date = new Date(validityDate(grids)), isLocal = d3.select("#data-date").classed("local");
-            var formatted = isLocal ? µ.toLocalISO(date) : µ.toUTCISO(date);
-            d3.select("#data-date").text(formatted + " " + (isLocal ? "Local" : "UTC"));
-            d3.select("#toggle-zone").text("⇄ " + (isLocal ? "UTC" : "Local"));
+        var date = new Date(validityDate(grids)), isLocal = d3.select("#data-date").classed("local");
+        var formatted = isLocal ? µ.toLocalISO(date) : µ.toUTCISO(date);
+        d3.select("#data-date").text(formatted + " " + (isLocal ? "Local" : "UTC"));
+        d3.select("#toggle-zone").text("⇄ " + (isLocal ? "UTC" : "Local"));
+    }
+
+    /**
+     * Draws a timeline of the primary grid's available epochs, with a tick mark for each epoch and a handle at the
+     * current one. Hovering or dragging reads out the epoch under the cursor, and releasing the handle saves that
+     * epoch to the configuration. Positions between ticks select intermediate epochs, to the nearest century,
+     * which the product blends from its neighbors.
+     */
+    function showEpochSlider(grids) {
+        var slider = d3.select("#epoch-slider"), readout = d3.select("#epoch-readout");
+        var grid = grids && grids.primaryGrid, epochs = grid && grid.epochs;
+        µ.removeChildren(slider.node());
+        slider.on("mousemove", null).on("mouseleave", null).on(".drag", null);
+        if (!epochs || epochs.length === 0) {
+            readout.text("");
+            return;
+        }
+
+        // Time flows left to right, from the oldest epoch to the most recent.
+        var width = +slider.attr("width"), height = +slider.attr("height"), r = height / 2;
+        var x = d3.scale.linear().domain([_.first(epochs), _.last(epochs)]).range([r, width - r]);
+        function epochAt(px) {
+            var years = x.invert(px), nearest = _.min(epochs, function(e) { return Math.abs(e - years); });
+            if (Math.abs(x(nearest) - px) <= r) {
+                return nearest;  // close enough to snap to the tick
+            }
+            return µ.clamp(Math.round(years / 100) * 100, _.last(epochs), _.first(epochs));
         }
+
+        slider.append("line").attr("class", "track").attr({x1: r, y1: r, x2: width - r, y2: r});
+        slider.selectAll(".tick").data(epochs).enter().append("line").attr("class", "tick")
+            .attr({x1: x, y1: r / 2, x2: x, y2: r * 1.5});
+        var handle = slider.append("circle").attr("class", "handle").attr({cx: x(grid.epoch), cy: r, r: r * 0.8});
+
+        var selected = grid.epoch;
+        function show(epoch) {
+            readout.text(µ.isValue(epoch) ? µ.formatEpoch(epoch) : "");
+        }
+        function select() {
+            selected = epochAt(d3.mouse(slider.node())[0]);
+            handle.attr("cx", x(selected));
+            show(selected);
+        }
+        show(selected);
+
+        slider
+            .on("mousemove", function() {
+                show(epochAt(d3.mouse(this)[0]));
+            })
+            .on("mouseleave", function() {
+                show(selected);
+            })
+            .call(d3.behavior.drag()
+                .on("dragstart", select)
+                .on("drag", select)
+                .on("dragend", function() {
+                    if (selected !== grid.epoch) {
+                        configuration.save(µ.dateToConfig(selected));
+                    }
+                }));
     }
 
     /**
@@ -957,6 +1567,23 @@
         });
     }
 
+    /**
+     * Display the values of both operands of a difference product, A and B, below the difference itself. Both
+     * follow the units toggle of the difference.
+     */
+    function showDifferenceAtLocation(value, operands, product) {
+        showOverlayValueAtLocation(value, product);
+        var unitToggle = createUnitToggle("#location-value-units", product), units = unitToggle.value();
+        var labels = product.operandLabels || [µ.formatEpoch(product.epoch), µ.formatEpoch(product.referenceEpoch)];
+        d3.select("#location-operands").text(
+            labels[0] + " " + µ.formatScalar(operands[0], units) + " " + units.label + " - " +
+            labels[1] + " " + µ.formatScalar(operands[1], units) + " " + units.label);
+        d3.select("#location-value-units").on("click", function() {
+            unitToggle.next();
+            showDifferenceAtLocation(value, operands, product);
+        });
+    }
+
     // Stores the point and coordinate of the currently visible location. This is used to update the location
     // details when the field changes.
     var activeLocation = {};
@@ -984,23 +1611,199 @@
         }
 
         if (field.isDefined(point[0], point[1]) && grids) {
-            if (grids.primaryGrid.type !== "gia") {
-                var wind = grids.primaryGrid.interpolate(λ, φ);
+            var vectorGrid = products.vectorGridOf(grids);
+            if (vectorGrid) {
+                var wind = vectorGrid.interpolate(λ, φ);
                 if (µ.isValue(wind)) {
-                    showWindAtLocation(wind, grids.primaryGrid);
+                    showWindAtLocation(wind, vectorGrid);
                 }
             }
-            if (grids.overlayGrid !== grids.primaryGrid || grids.primaryGrid.type === "gia") {
+            if (grids.overlayGrid !== vectorGrid) {
                 var value = grids.overlayGrid.interpolate(λ, φ);
-                if (µ.isValue(value)) {
+                if (µ.isValue(value) && grids.overlayGrid.operands) {
+                    showDifferenceAtLocation(value, grids.overlayGrid.operands(λ, φ), grids.overlayGrid);
+                }
+                else if (µ.isValue(value)) {
                     showOverlayValueAtLocation(value, grids.overlayGrid);
                 }
             }
         }
     }
 
+    /**
+     * Samples the RSL history of the specified location across every epoch of the catalog.
+     *
+     * @returns {Object} a promise for the history: {coord: [λ, φ], product:, series: [{epoch:, value:}, ...]}, or
+     *          null if there is no location or GIA mode is off.
+     */
+    function buildHistory(coord) {
+        if (!coord || configuration.get("param") !== "gia") return null;
+
+        var cancel = this.cancel;
+        log.time("sampling RSL history");
+        return products.rslHistory(configuration.attributes, coord[0], coord[1], cancel).then(function(history) {
+            log.timeEnd("sampling RSL history");
+            return history && _.extend(history, {coord: coord});
+        });
+    }
+
+    /**
+     * Draws the RSL history of the location as a chart of sea level against time, marking the epoch on display.
+     * Hovering over the chart reads out the value at the nearest epoch of the catalog.
+     */
+    function drawHistory(history) {
+        var chart = d3.select("#location-history"), readout = d3.select("#location-history-value");
+        var unitsLabel = d3.select("#location-history-units");
+        µ.removeChildren(chart.node());
+        chart.on("mousemove", null).on("mouseleave", null);
+        var defined = function(d) { return µ.isValue(d.value); };
+        var points = history ? history.series.filter(defined) : [];
+        chart.style("display", points.length > 0 ? null : "none");
+        d3.select("#location-history-export").classed("invisible", points.length === 0);
+        if (points.length === 0) {
+            readout.text("");
+            unitsLabel.text("");
+            return;
+        }
+
+        var unitToggle = createUnitToggle("#location-history-units", history.product), units = unitToggle.value();
+        var convert = function(d) { return units.conversion(d.value); };
+        var width = +chart.attr("width"), height = +chart.attr("height"), m = HISTORY_MARGIN;
+        // Time flows left to right, from the oldest epoch to the most recent, as on the epoch slider.
+        var x = d3.scale.linear()
+            .domain([_.first(points).epoch, _.last(points).epoch])
+            .range([m.left, width - m.right]);
+        var y = d3.scale.linear()
+            .domain(d3.extent(points, convert))
+            .nice()
+            .range([height - m.bottom, m.top]);
+
+        chart.append("g").attr("class", "axis").attr("transform", "translate(0," + (height - m.bottom) + ")")
+            .call(d3.svg.axis().scale(x).orient("bottom").ticks(4).tickFormat(function(years) {
+                return years / 1000 + " ka";
+            }));
+        chart.append("g").attr("class", "axis").attr("transform", "translate(" + m.left + ",0)")
+            .call(d3.svg.axis().scale(y).orient("left").ticks(3));
+        chart.append("path").attr("class", "series").attr("d", d3.svg.line()
+            .defined(defined)
+            .x(function(d) { return x(d.epoch); })
+            .y(function(d) { return y(convert(d)); })(history.series));
+
+        // The epoch on display may lie between two epochs of the catalog, so take its value from the grid shown.
+        var grid = gridAgent.value() && gridAgent.value().primaryGrid, current = null;
+        if (grid && grid.type === "gia" && µ.isValue(grid.epoch)) {
+            current = {epoch: grid.epoch, value: grid.interpolate(history.coord[0], history.coord[1])};
+            chart.append("line").attr("class", "current")
+                .attr({x1: x(current.epoch), y1: m.top, x2: x(current.epoch), y2: height - m.bottom});
+        }
+        var focus = chart.append("circle").attr("class", "focus").attr("r", 3);
+
+        function show(d) {
+            if (!d || !defined(d)) {
+                focus.style("display", "none");
+                return readout.text("");
+            }
+            focus.style("display", null).attr({cx: x(d.epoch), cy: y(convert(d))});
+            readout.text(µ.formatEpoch(d.epoch) + " " + µ.formatScalar(d.value, units));
+        }
+        show(current);
+        unitsLabel.text(units.label).on("click", function() {
+            unitToggle.next();
+            drawHistory(history);
+        });
+        d3.select("#location-history-csv").on("click", function() {
+            saveHistory(history, units, "csv");
+        });
+        d3.select("#location-history-json").on("click", function() {
+            saveHistory(history, units, "json");
+        });
+
+        chart
+            .on("mousemove", function() {
+                var years = x.invert(d3.mouse(this)[0]);
+                show(_.min(points, function(d) { return Math.abs(d.epoch - years); }));
+            })
+            .on("mouseleave", function() {
+                show(current);
+            });
+    }
+
+    /**
+     * Saves the RSL history of the location as a CSV or JSON file, with values in the specified units. Epochs are in
+     * years before present, and holes have no value.
+     */
+    function saveHistory(history, units, format) {
+        var λ = history.coord[0], φ = history.coord[1], description = history.product.description("en");
+        var values = history.series.map(function(d) {
+            return µ.isValue(d.value) ? units.conversion(d.value) : null;
+        });
+        var name = "rsl-history_" + φ.toFixed(2) + "_" + λ.toFixed(2);
+        if (format === "csv") {
+            var rows = [["epoch_years_bp", "value", "units", "longitude", "latitude", "source"]];
+            history.series.forEach(function(d, i) {
+                rows.push([d.epoch, values[i], units.label, λ, φ, history.source]);
+            });
+            return µ.saveFile(name + ".csv", d3.csv.formatRows(rows) + "\n", "text/csv");
+        }
+        µ.saveFile(name + ".json", JSON.stringify({
+            product: description.name + description.qualifier,
+            source: history.source,
+            longitude: λ,
+            latitude: φ,
+            units: units.label,
+            epochUnits: "years BP",
+            series: history.series.map(function(d, i) {
+                return {epoch: d.epoch, value: values[i]};
+            })
+        }, null, 2), "application/json");
+    }
+
+    /**
+     * Display the observation of the specified index point next to the model value at its age.
+     */
+    function showIndexPoint(d) {
+        var model = µ.isValue(d.model) ?
+            "model " + d.model.toFixed(1) + " m · misfit " + d.misfit.toFixed(1) + "σ" :
+            "no model";
+        d3.select("#location-observation").text(
+            observations.describeType(d.type) + " @ " + µ.formatEpoch(d.age) +
+            " ± " + (d.ageError / 1000).toFixed(1) + " ka · obs " + d.rsl.toFixed(1) +
+            " ± " + d.rslError.toFixed(1) + " m · " + model);
+    }
+
+    /**
+     * Display the trend of the specified tide gauge over the current period, next to the modelled GIA rate there.
+     */
+    function showTideGauge(station) {
+        var d = observations.tideGaugeTrend(station, TREND_PERIODS[trendPeriod]);
+        d3.select("#location-observation").text(µ.isValue(d.trend) ?
+            d.name + " " + d.first + "-" + d.last + " · trend " + formatRate(d.trend) + " ± " +
+                formatRate(d.trendError) + " · GIA " + formatRate(d.giaRate) + " · corrected " +
+                formatRate(d.corrected) + " mm/yr" :
+            d.name + " · too few years for a trend");
+    }
+
+    /**
+     * Makes the location of the specified observation the current location, and shows the observation there using
+     * the specified function.
+     */
+    function showObservationAtLocation(d, show) {
+        var globe = globeAgent.value(), coord = [d.lon, d.lat];
+        showLocationDetails(globe.projection(coord), coord);
+        if (activeLocation.coord === coord) {
+            activeLocation.observation = _.partial(show, d);
+            activeLocation.observation();
+            historyAgent.submit(buildHistory, coord);
+        }
+    }
+
     function updateLocationDetails() {
+        var observation = activeLocation.observation;
         showLocationDetails(activeLocation.point, activeLocation.coord);
+        if (observation) {
+            activeLocation.observation = observation;  // observations are the same at every epoch
+            observation();
+        }
     }
 
     function clearLocationDetails(clearEverything) {
@@ -1010,9 +1813,12 @@
         d3.select("#location-wind-units").text("");
         d3.select("#location-value").text("");
         d3.select("#location-value-units").text("");
+        d3.select("#location-operands").text("");
+        d3.select("#location-observation").text("");
         if (clearEverything) {
             activeLocation = {};
             d3.select(".location-mark").remove();
+            historyAgent.submit(buildHistory, null);
         }
     }
 
@@ -1069,6 +1875,10 @@
         d3.select("#scale")
             .attr("width", (d3.select("#menu").node().offsetWidth - label.offsetWidth) * 0.97)
             .attr("height", label.offsetHeight / 2);
+        // The epoch slider has the same dimensions as the scale.
+        d3.select("#epoch-slider")
+            .attr("width", d3.select("#scale").attr("width"))
+            .attr("height", d3.select("#scale").attr("height"));
 
         d3.select("#show-menu").on("click", function() {
             if (µ.isEmbeddedInIFrame()) {
@@ -1112,7 +1922,11 @@
             var changed = _.keys(configuration.changedAttributes()), rebuildRequired = false;
 
             // Build a new grid if any layer-related attributes have changed.
-            if (_.intersection(changed, ["date", "hour", "param", "surface", "level"]).length > 0) {
+            if (_.intersection(changed, ["date", "hour", "epoch", "param", "surface", "level"]).length > 0) {
+                rebuildRequired = true;
+            }
+            // Build a new grid if the reference epoch of a difference overlay has changed.
+            if (_.indexOf(changed, "referenceEpoch") >= 0 && configuration.get("overlayType") === "gia_difference") {
                 rebuildRequired = true;
             }
             // Build a new grid if the new overlay type is different from the current one.
@@ -1134,10 +1948,13 @@
             }
         });
         gridAgent.on("submit", function() {
-            showGridDetails(null);
+            if (!playback.isPlaying()) {
+                showGridDetails(null);  // keep the details steady during playback rather than blink them
+            }
         });
         gridAgent.on("update", function(grids) {
             showGridDetails(grids);
+            showEpochSlider(grids);
         });
         d3.select("#toggle-zone").on("click", function() {
             d3.select("#data-date").classed("local", !d3.select("#data-date").classed("local"));
@@ -1161,9 +1978,15 @@
         fieldAgent.listenTo(rendererAgent, "start", cancelInterpolation);
         fieldAgent.listenTo(rendererAgent, "redraw", cancelInterpolation);
 
-        // animatorAgent.listenTo(fieldAgent, "update", function(field) {
-        //     animatorAgent.submit(animate, globeAgent.value(), field, gridAgent.value());
-        // });
+        animatorAgent.listenTo(fieldAgent, "update", function(field) {
+            // Only crustal motion is animated. Particles of the wind and ocean currents remain switched off.
+            if (configuration.get("param") === "gia" && products.vectorGridOf(gridAgent.value())) {
+                animatorAgent.submit(animate, globeAgent.value(), field, gridAgent.value());
+            }
+            else {
+                stopCurrentAnimation(true);  // no particles to draw, so clear any left from before
+            }
+        });
         animatorAgent.listenTo(rendererAgent, "start", stopCurrentAnimation.bind(null, true));
         animatorAgent.listenTo(gridAgent, "submit", stopCurrentAnimation.bind(null, false));
         animatorAgent.listenTo(fieldAgent, "submit", stopCurrentAnimation.bind(null, false));
@@ -1182,8 +2005,80 @@
             }
         });
 
+        shorelineAgent.listenTo(gridAgent, "update", function(grids) {
+            shorelineAgent.submit(buildShoreline, grids);
+        });
+        shorelineAgent.listenTo(configuration, "change:showShoreline", function() {
+            shorelineAgent.submit(buildShoreline, gridAgent.value());
+        });
+        shorelineAgent.on("update", drawShoreline);
+        isolineAgent.listenTo(gridAgent, "update", function(grids) {
+            isolineAgent.submit(buildIsolines, grids);
+        });
+        isolineAgent.listenTo(configuration, "change:contourInterval", function() {
+            isolineAgent.submit(buildIsolines, gridAgent.value());
+        });
+        isolineAgent.on("update", drawIsolines);
+        iceMarginAgent.listenTo(gridAgent, "update", function(grids) {
+            iceMarginAgent.submit(buildIceMargin, grids);
+        });
+        iceMarginAgent.listenTo(configuration, "change:showIceMargin", function() {
+            iceMarginAgent.submit(buildIceMargin, gridAgent.value());
+        });
+        iceMarginAgent.on("update", drawIceMargin);
+        rendererAgent.on("update", function() {
+            // The renderer starts from an empty map.
+            drawShoreline(shorelineAgent.value());
+            drawIsolines(isolineAgent.value());
+            drawIceMargin(iceMarginAgent.value());
+            drawIndexPoints(misfitAgent.value());
+            drawTideGauges(giaRateAgent.value());
+        });
+        rendererAgent.on("redraw", moveIsolineLabels);
+        rendererAgent.on("redraw", _.partial(moveMarkers, ".index-points path"));
+        rendererAgent.on("redraw", _.partial(moveMarkers, ".tide-gauges path"));
+
+        misfitAgent.listenTo(indexPointAgent, "update", function(indexPoints) {
+            misfitAgent.submit(buildMisfits, indexPoints);
+        });
+        misfitAgent.listenTo(configuration, "change", function() {
+            // Compare the points afresh whenever the layer changes. Each point is compared at its own age, whatever
+            // the epoch on display.
+            var changed = _.keys(configuration.changedAttributes());
+            if (_.intersection(changed, ["date", "hour", "param", "surface", "level"]).length > 0) {
+                misfitAgent.submit(buildMisfits, indexPointAgent.value());
+            }
+        });
+        misfitAgent.on("update", drawIndexPoints);
+        misfitAgent.on("update", function(misfits) {
+            drawStatistics(misfits, giaRateAgent.value());
+        });
+        giaRateAgent.listenTo(tideGaugeAgent, "update", function(tideGauges) {
+            giaRateAgent.submit(buildGiaRates, tideGauges);
+        });
+        giaRateAgent.listenTo(configuration, "change", function() {
+            // Sample the rates afresh whenever the layer changes. The present-day rate is the same at every epoch.
+            var changed = _.keys(configuration.changedAttributes());
+            if (_.intersection(changed, ["date", "hour", "param", "surface", "level"]).length > 0) {
+                giaRateAgent.submit(buildGiaRates, tideGaugeAgent.value());
+            }
+        });
+        giaRateAgent.on("update", drawTideGauges);
+
         // Add event handlers for showing, updating, and removing location details.
-        inputController.on("click", showLocationDetails);
+        inputController.on("click", function(point, coord) {
+            showLocationDetails(point, coord);
+            if (coord && activeLocation.coord === coord) {
+                historyAgent.submit(buildHistory, coord);  // a new location, so sample its history
+            }
+        });
+        historyAgent.listenTo(configuration, "change:param", function() {
+            historyAgent.submit(buildHistory, activeLocation.coord);
+        });
+        historyAgent.on("update", drawHistory);
+        gridAgent.on("update", function() {
+            drawHistory(historyAgent.value());  // move the mark to the epoch now on display
+        });
         fieldAgent.on("update", updateLocationDetails);
         d3.select("#location-close").on("click", _.partial(clearLocationDetails, true));
 
@@ -1206,17 +2101,21 @@
                     d3.select("#nav-forward-more").attr("title", "+1 Month");
                     break;
                 case "gia":
-                    d3.select("#nav-backward-more").attr("title", "-10Kya");
-                    d3.select("#nav-backward").attr("title", "-1Kya");
-                    d3.select("#nav-forward").attr("title", "+1Kya");
-                    d3.select("#nav-forward-more").attr("title", "+10Kya");
+                    d3.select("#nav-backward-more").attr("title", "-10 ka");
+                    d3.select("#nav-backward").attr("title", "-1 ka");
+                    d3.select("#nav-forward").attr("title", "+1 ka");
+                    d3.select("#nav-forward-more").attr("title", "+10 ka");
                     break;
             }
         });
 
         d3.select("#gia-mode-enable").on("click", function() {
             if (configuration.get("param") !== "gia") {
-                configuration.save({param: "gia", surface: "surface", level: "level", overlayType: "default"});
+                // Calendar dates have no meaning for paleo epochs, so start from the most recent one.
+                configuration.save({
+                    param: "gia", surface: "surface", level: "level", overlayType: "default",
+                    date: "current", hour: "", epoch: null
+                });
             }
         });
         configuration.on("change:param", function(x, param) {
@@ -1226,7 +2125,9 @@
         // Add handlers for mode buttons.
         d3.select("#wind-mode-enable").on("click", function() {
             if (configuration.get("param") !== "wind") {
-                configuration.save({param: "wind", surface: "surface", level: "level", overlayType: "default"});
+                configuration.save({
+                    param: "wind", surface: "surface", level: "level", overlayType: "default", epoch: null
+                });
             }
         });
         configuration.on("change:param", function(x, param) {
@@ -1238,7 +2139,9 @@
                 // When switching between modes, there may be no associated data for the current date. So we need
                 // find the closest available according to the catalog. This is not necessary if date is "current".
                 // UNDONE: this code is annoying. should be easier to get date for closest ocean product.
-                var ocean = {param: "ocean", surface: "surface", level: "currents", overlayType: "default"};
+                var ocean = {
+                    param: "ocean", surface: "surface", level: "currents", overlayType: "default", epoch: null
+                };
                 var attr = _.clone(configuration.attributes);
                 if (attr.date === "current") {
                     configuration.save(ocean);
@@ -1271,7 +2174,25 @@
         d3.select("#nav-forward-more" ).on("click", navigate.bind(null, +10));
         d3.select("#nav-backward"     ).on("click", navigate.bind(null, -1));
         d3.select("#nav-forward"      ).on("click", navigate.bind(null, +1));
-        d3.select("#nav-now").on("click", function() { configuration.save({date: "current", hour: ""}); });
+        d3.select("#playback-toggle").on("click", function() {
+            if (playback.isPlaying()) {
+                playback.stop();
+            }
+            else {
+                playback.start();
+            }
+        });
+        d3.select("#playback-speed").on("click", function() {
+            playback.nextSpeed();
+        });
+        playback.on("change", function() {
+            d3.select("#playback-toggle").text(playback.isPlaying() ? "Pause" : "Play");
+            d3.select("#playback-speed").text("×" + playback.speed());
+        });
+
+        d3.select("#nav-now").on("click", function() {
+            configuration.save({date: "current", hour: "", epoch: null});
+        });
 
         d3.select("#option-show-grid").on("click", function() {
             configuration.save({showGridPoints: !configuration.get("showGridPoints")});
@@ -1279,6 +2200,91 @@
         configuration.on("change:showGridPoints", function(x, showGridPoints) {
             d3.select("#option-show-grid").classed("highlighted", showGridPoints);
         });
+        d3.select("#option-show-shoreline").on("click", function() {
+            configuration.save({showShoreline: !configuration.get("showShoreline")});
+        });
+        configuration.on("change:showShoreline", function(x, showShoreline) {
+            d3.select("#option-show-shoreline").classed("highlighted", showShoreline);
+        });
+        d3.select("#option-show-ice-margin").on("click", function() {
+            configuration.save({showIceMargin: !configuration.get("showIceMargin")});
+        });
+        configuration.on("change:showIceMargin", function(x, showIceMargin) {
+            d3.select("#option-show-ice-margin").classed("highlighted", showIceMargin);
+        });
+        d3.select("#index-points-load").on("click", function() {
+            d3.select("#index-points-file").node().click();
+        });
+        d3.select("#index-points-file").on("change", function() {
+            if (this.files.length > 0) {
+                indexPointAgent.submit(readIndexPoints, this.files[0]);
+            }
+            this.value = "";  // so that choosing the same file again reloads it
+        });
+        d3.select("#index-points-clear").on("click", function() {
+            indexPointAgent.submit(null);
+        });
+        d3.select("#index-points-fit").on("click", function() {
+            statisticsHidden = !statisticsHidden;
+            drawStatistics(misfitAgent.value(), giaRateAgent.value());
+        });
+        d3.select("#statistics-close").on("click", function() {
+            statisticsHidden = true;
+            drawStatistics(misfitAgent.value(), giaRateAgent.value());
+        });
+        d3.select("#tide-gauges-load").on("click", function() {
+            d3.select("#tide-gauges-files").node().click();
+        });
+        d3.select("#tide-gauges-files").on("change", function() {
+            if (this.files.length > 0) {
+                tideGaugeAgent.submit(readTideGauges, _.toArray(this.files));
+            }
+            this.value = "";  // so that choosing the same files again reloads them
+        });
+        d3.select("#tide-gauges-clear").on("click", function() {
+            tideGaugeAgent.submit(null);
+        });
+        d3.select("#tide-gauges-period").on("click", function() {
+            trendPeriod = (trendPeriod + 1) % TREND_PERIODS.length;
+            drawTideGauges(giaRateAgent.value());
+            updateLocationDetails();  // the trend of a tide gauge on display changes too
+        });
+        d3.select("#tide-gauges-table").on("click", function() {
+            trendTableHidden = !trendTableHidden;
+            drawTrendTable(giaRateAgent.value());
+        });
+        d3.select("#trends-close").on("click", function() {
+            trendTableHidden = true;
+            drawTrendTable(giaRateAgent.value());
+        });
+        d3.select("#trends-export-stations").on("click", function() {
+            if (giaRateAgent.value()) saveTideGaugeStations(giaRateAgent.value());
+        });
+        d3.select("#trends-export-table").on("click", function() {
+            if (giaRateAgent.value()) saveTrendTable(giaRateAgent.value());
+        });
+        d3.select("#option-show-isolines").on("click", function() {
+            var grids = gridAgent.value();
+            if (µ.isValue(configuration.get("contourInterval"))) {
+                configuration.save({contourInterval: null});
+            }
+            else if (grids && grids.overlayGrid.field === "scalar") {
+                configuration.save({contourInterval: defaultContourInterval(grids.overlayGrid)});
+            }
+        });
+        [["#isoline-finer", -1], ["#isoline-coarser", +1]].forEach(function(button) {
+            d3.select(button[0]).on("click", function() {
+                var interval = configuration.get("contourInterval");
+                if (µ.isValue(interval)) {
+                    configuration.save({contourInterval: stepInterval(interval, button[1])});
+                }
+            });
+        });
+        configuration.on("change:contourInterval", function(x, interval) {
+            d3.select("#option-show-isolines").classed("highlighted", µ.isValue(interval));
+            showIsolineInterval();
+        });
+        gridAgent.on("update", showIsolineInterval);
 
         // Add handlers for all wind level buttons.
         d3.selectAll(".surface").each(function() {
@@ -1296,6 +2302,15 @@
         bindButtonToConfiguration("#overlay-wind", {param: "wind", overlayType: "default"});
         bindButtonToConfiguration("#overlay-gia", {param: "gia", overlayType: "default"});
         bindButtonToConfiguration("#overlay-gia-off", {overlayType: "off"});
+        d3.select("#reference-set").on("click", function() {
+            var grids = gridAgent.value();
+            if (grids && µ.isValue(grids.primaryGrid.epoch)) {
+                configuration.save({referenceEpoch: grids.primaryGrid.epoch});
+            }
+        });
+        configuration.on("change:referenceEpoch", function(x, referenceEpoch) {
+            d3.select("#reference-epoch").text(µ.isValue(referenceEpoch) ? µ.formatEpoch(referenceEpoch) : "Present");
+        });
         bindButtonToConfiguration("#overlay-ocean-off", {overlayType: "off"});
         bindButtonToConfiguration("#overlay-currents", {overlayType: "default"});
 
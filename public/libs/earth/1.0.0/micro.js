@@ -146,8 +146,23 @@ var µ = function() {
         return ymdRedelimit(date.toISOString(), "-", delimiter || "");
     }
 
+    /**
+     * @returns {String} the specified epoch, in years before present, as thousands of years (ka) before present.
+     *          For example, 21000 becomes "21.0 ka BP".
+     */
+    function formatEpoch(years) {
+        return (years / 1000).toFixed(1) + " ka BP";
+    }
+
+    /**
+     * @param {Date|Number} date either a calendar date, or a paleo epoch expressed in years before present.
+     * @returns {Object} the configuration attributes that select the specified date.
+     */
     function dateToConfig(date) {
-        return {date: µ.dateToUTCymd(date, "/"), hour: µ.zeroPad(date.getUTCHours(), 2) + "00"};
+        if (_.isNumber(date)) {
+            return {date: "current", hour: "", epoch: date};
+        }
+        return {date: µ.dateToUTCymd(date, "/"), hour: µ.zeroPad(date.getUTCHours(), 2) + "00", epoch: null};
     }
 
     /**
@@ -193,6 +208,20 @@ var µ = function() {
         return canvas;
     }
 
+    /**
+     * Offers the specified text to the user as a file download having the specified name and MIME type.
+     */
+    function saveFile(name, text, type) {
+        var url = URL.createObjectURL(new Blob([text], {type: type}));
+        var link = document.createElement("a");
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function() { URL.revokeObjectURL(url); }, 0);  // after the browser has started the download
+    }
+
     function colorInterpolator(start, end) {
         var r = start[0], g = start[1], b = start[2];
         var Δr = end[0] - r, Δg = end[1] - g, Δb = end[2] - b;
@@ -331,6 +360,38 @@ var µ = function() {
         return d.promise;
     }
 
+    /**
+     * Returns a promise for a binary resource (URL) fetched via XHR, resolved as an ArrayBuffer. If the load fails,
+     * the promise rejects the same way as loadJson.
+     */
+    function loadBinary(resource) {
+        var d = when.defer();
+        d3.xhr(resource).responseType("arraybuffer").get(function(error, request) {
+            return error ?
+                !error.status ?
+                    d.reject({status: -1, message: "Cannot load resource: " + resource, resource: resource}) :
+                    d.reject({status: error.status, message: error.statusText, resource: resource}) :
+                d.resolve(request.response);
+        });
+        return d.promise;
+    }
+
+    /**
+     * Returns a promise for the text of the specified File, such as one the user has chosen. If the read fails, the
+     * promise rejects with an Error.
+     */
+    function readFile(file) {
+        var d = when.defer(), reader = new FileReader();
+        reader.onload = function() {
+            d.resolve(reader.result);
+        };
+        reader.onerror = function() {
+            d.reject(new Error("Cannot read file: " + file.name));
+        };
+        reader.readAsText(file);
+        return d.promise;
+    }
+
     /**
      * Returns the distortion introduced by the specified projection at the given point.
      *
@@ -499,13 +560,26 @@ var µ = function() {
      * Parses a URL hash fragment:
      *
      * example: "2013/11/14/0900Z/wind/isobaric/1000hPa/orthographic=26.50,-153.00,1430/overlay=off"
-     * output: {date: "2013/11/14", hour: "0900", param: "wind", surface: "isobaric", level: "1000hPa",
+     * output: {date: "2013/11/14", hour: "0900", epoch: null, param: "wind", surface: "isobaric", level: "1000hPa",
      *          projection: "orthographic", orientation: "26.50,-153.00,1430", overlayType: "off"}
      *
+     * example: "21ka/gia/surface/level/orthographic=-85.00,60.00,1000"
+     * output: {date: "current", hour: "", epoch: 21000, param: "gia", surface: "surface", level: "level",
+     *          projection: "orthographic", orientation: "-85.00,60.00,1000", overlayType: "default"}
+     *
+     * example: "21ka/gia/surface/level/overlay=gia_difference/ref=10ka"
+     * output: {date: "current", hour: "", epoch: 21000, param: "gia", surface: "surface", level: "level",
+     *          overlayType: "gia_difference", referenceEpoch: 10000, ...}
+     *
      * grammar:
-     *     hash   := ( "current" | yyyy / mm / dd / hhhh "Z" ) / param / surface / level [ / option [ / option ... ] ]
+     *     hash   := time / param / surface / level [ / option [ / option ... ] ]
+     *     time   := "current" | yyyy / mm / dd / hhhh "Z" | number "ka"
      *     option := type [ "=" number [ "," number [ ... ] ] ]
      *
+     * A time of the form number "ka" is a paleo epoch in thousands of years before present, and is stored in the
+     * epoch attribute as years before present. The option "ref=" number "ka" likewise stores the reference epoch,
+     * which difference products subtract from the epoch, in the referenceEpoch attribute.
+     *
      * @param hash the hash fragment.
      * @param projectionNames the set of allowed projections.
      * @param overlayTypes the set of allowed overlays.
@@ -513,27 +587,37 @@ var µ = function() {
      */
     function parse(hash, projectionNames, overlayTypes) {
         var option, result = {};
-        //             1        2        3          4          5            6      7      8    9
-        var tokens = /^(current|(\d{4})\/(\d{1,2})\/(\d{1,2})\/(\d{3,4})Z)\/(\w+)\/(\w+)\/(\w+)([\/].+)?/.exec(hash);
+        //             1        2        3          4          5          6                   7      8      9    10
+        var tokens = /^(current|(\d{4})\/(\d{1,2})\/(\d{1,2})\/(\d{3,4})Z|(\d+(?:\.\d+)?)ka)\/(\w+)\/(\w+)\/(\w+)([\/].+)?/
+            .exec(hash);
         if (tokens) {
-            var date = tokens[1] === "current" ?
-                "current" :
-                tokens[2] + "/" + zeroPad(tokens[3], 2) + "/" + zeroPad(tokens[4], 2);
+            var date = isValue(tokens[2]) ?
+                tokens[2] + "/" + zeroPad(tokens[3], 2) + "/" + zeroPad(tokens[4], 2) :
+                "current";
             var hour = isValue(tokens[5]) ? zeroPad(tokens[5], 4) : "";
+            var epoch = isValue(tokens[6]) ? Math.round(tokens[6] * 1000) : null;
             result = {
                 date: date,                  // "current" or "yyyy/mm/dd"
                 hour: hour,                  // "hhhh" or ""
-                param: tokens[6],            // non-empty alphanumeric _
-                surface: tokens[7],          // non-empty alphanumeric _
-                level: tokens[8],            // non-empty alphanumeric _
+                epoch: epoch,                // years before present, or null
+                referenceEpoch: null,        // years before present, or null
+                param: tokens[7],            // non-empty alphanumeric _
+                surface: tokens[8],          // non-empty alphanumeric _
+                level: tokens[9],            // non-empty alphanumeric _
                 projection: "orthographic",
                 orientation: "",
                 topology: TOPOLOGY,
                 overlayType: "default",
-                showGridPoints: false
+                showGridPoints: false,
+                showShoreline: false,
+                showIceMargin: false,
+                contourInterval: null        // spacing of isolines in the units of the overlay's data, or null
             };
-            coalesce(tokens[9], "").split("/").forEach(function(segment) {
-                if ((option = /^(\w+)(=([\d\-.,]*))?$/.exec(segment))) {
+            coalesce(tokens[10], "").split("/").forEach(function(segment) {
+                if ((option = /^contour=(\d+(?:\.\d+)?)$/.exec(segment))) {
+                    result.contourInterval = +option[1];
+                }
+                else if ((option = /^(\w+)(=([\d\-.,]*))?$/.exec(segment))) {
                     if (projectionNames.has(option[1])) {
                         result.projection = option[1];                 // non-empty alphanumeric _
                         result.orientation = coalesce(option[3], "");  // comma delimited string of numbers, or ""
@@ -544,11 +628,24 @@ var µ = function() {
                         result.overlayType = option[1];
                     }
                 }
+                else if ((option = /^ref=(\d+(?:\.\d+)?)ka$/.exec(segment))) {
+                    result.referenceEpoch = Math.round(option[1] * 1000);
+                }
                 else if ((option = /^grid=(\w+)$/.exec(segment))) {
                     if (option[1] === "on") {
                         result.showGridPoints = true;
                     }
                 }
+                else if ((option = /^shore=(\w+)$/.exec(segment))) {
+                    if (option[1] === "on") {
+                        result.showShoreline = true;
+                    }
+                }
+                else if ((option = /^ice=(\w+)$/.exec(segment))) {
+                    if (option[1] === "on") {
+                        result.showIceMargin = true;
+                    }
+                }
             });
         }
         return result;
@@ -569,11 +666,17 @@ var µ = function() {
          */
         toHash: function() {
             var attr = this.attributes;
-            var dir = attr.date === "current" ? "current" : attr.date + "/" + attr.hour + "Z";
+            var dir = isValue(attr.epoch) ? +(attr.epoch / 1000).toFixed(3) + "ka" :
+                attr.date === "current" ? "current" : attr.date + "/" + attr.hour + "Z";
             var proj = [attr.projection, attr.orientation].filter(isTruthy).join("=");
             var ol = !isValue(attr.overlayType) || attr.overlayType === "default" ? "" : "overlay=" + attr.overlayType;
+            var ref = isValue(attr.referenceEpoch) ? "ref=" + (+(attr.referenceEpoch / 1000).toFixed(3)) + "ka" : "";
             var grid = attr.showGridPoints ? "grid=on" : "";
-            return [dir, attr.param, attr.surface, attr.level, ol, proj, grid].filter(isTruthy).join("/");
+            var shore = attr.showShoreline ? "shore=on" : "";
+            var ice = attr.showIceMargin ? "ice=on" : "";
+            var contour = isValue(attr.contourInterval) ? "contour=" + attr.contourInterval : "";
+            return [dir, attr.param, attr.surface, attr.level, ol, ref, proj, grid, shore, ice, contour]
+                .filter(isTruthy).join("/");
         },
 
         /**
@@ -637,11 +740,13 @@ var µ = function() {
         toLocalISO: toLocalISO,
         ymdRedelimit: ymdRedelimit,
         dateToUTCymd: dateToUTCymd,
+        formatEpoch: formatEpoch,
         dateToConfig: dateToConfig,
         log: log,
         view: view,
         removeChildren: removeChildren,
         clearCanvas: clearCanvas,
+        saveFile: saveFile,
         sinebowColor: sinebowColor,
         extendedSinebowColor: extendedSinebowColor,
         windIntensityColorScale: windIntensityColorScale,
@@ -650,6 +755,8 @@ var µ = function() {
         formatScalar: formatScalar,
         formatVector: formatVector,
         loadJson: loadJson,
+        loadBinary: loadBinary,
+        readFile: readFile,
         distortion: distortion,
         newAgent: newAgent,
         parse: parse,
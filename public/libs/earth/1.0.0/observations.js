@@ -0,0 +1,420 @@
+/**
+ * observations - sea-level observations, and their comparison with the relative sea level of the GIA model.
+ */
+var observations = function() {
+    "use strict";
+
+    var MAX_MISFIT = 3;  // misfits beyond this many standard deviations get the color of the extreme
+    var REGION_BAND = 30;  // height of the latitude bands that group observations without a region (degrees)
+    var MIN_TREND_YEARS = 20;  // annual means a tide gauge needs within the period to have a trend
+    var PSMSL_MISSING = -99999;  // placeholder of PSMSL files for years without a mean
+
+    /**
+     * The kinds of sea-level index point. An index point constrains relative sea level to its elevation, within
+     * its uncertainty. A limiting point only bounds it: marine material formed below sea level, so sea level was at
+     * or above it, while terrestrial material formed above sea level, so sea level was at or below it.
+     */
+    var TYPES = {
+        index: {label: "index point", bound: 0},
+        marine: {label: "marine limiting", bound: +1},  // lower bound on relative sea level
+        terrestrial: {label: "terrestrial limiting", bound: -1}  // upper bound on relative sea level
+    };
+
+    var misfitColorScale = µ.segmentedColorScale([
+        [-MAX_MISFIT, [33, 102, 172]],   // model well below the observation
+        [-1, [146, 197, 222]],
+        [0, [247, 247, 247]],
+        [1, [244, 165, 130]],
+        [MAX_MISFIT, [178, 24, 43]]      // model well above the observation
+    ]);
+
+    /**
+     * @returns {String} the type of index point named by the specified text, such as "index" or "marine limiting", or
+     *          null if there is none. A limiting point must say whether it is marine or terrestrial, as that decides
+     *          which side of it sea level lay.
+     */
+    function typeOf(text) {
+        var match = /^\s*(index|marine|terrestrial)\b/i.exec(text || "index");
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    /**
+     * Parses a file of sea-level index points, either CSV with a header row or a JSON array of objects, both having
+     * the fields:
+     *
+     *     lat, lon    location in degrees
+     *     age         age of the point in years before present
+     *     rsl         relative sea level in meters
+     *     rsl_err     vertical uncertainty (1σ) in meters
+     *     age_err     age uncertainty (1σ) in years, zero if omitted
+     *     type        "index", "marine limiting", or "terrestrial limiting", index if omitted
+     *     region      name of the region the point belongs to, optional
+     *
+     * @param {String} text the contents of the file.
+     * @param {String} name the name of the file. Names ending in ".json" are read as JSON.
+     * @returns {Array} the index points: [{lat:, lon:, age:, rsl:, rslError:, ageError:, type:, region:}, ...]
+     */
+    function parseIndexPoints(text, name) {
+        var rows = /\.json$/i.test(name) ? JSON.parse(text) : d3.csv.parse(text);
+        return rows.map(function(row, i) {
+            var point = {
+                lat: +row.lat,
+                lon: +row.lon,
+                age: +row.age,
+                rsl: +row.rsl,
+                rslError: +row.rsl_err,
+                ageError: +(row.age_err || 0),
+                type: typeOf(row.type),
+                region: row.region || null
+            };
+            var invalid = _.find(["lat", "lon", "age", "rsl", "rslError", "ageError"], function(key) {
+                return !_.isFinite(point[key]);
+            });
+            if (invalid || !point.type || point.rslError <= 0 || point.ageError < 0) {
+                // Count lines from one, after the header row of a CSV file.
+                var line = /\.json$/i.test(name) ? "record " + (i + 1) : "line " + (i + 2);
+                var problem = (invalid || (point.type ? "uncertainty" : "type")) + " is not valid";
+                if (!point.type && /^\s*limiting\b/i.test(row.type)) {
+                    problem += ": say whether the limiting point is marine or terrestrial";
+                }
+                throw new Error(name + ", " + line + ": " + problem);
+            }
+            return point;
+        });
+    }
+
+    /**
+     * @returns {Array} the two adjacent epochs spanning the specified age, older first, or null if the age lies
+     *          outside the epochs. A single epoch spans only its own age, and yields that epoch twice.
+     */
+    function spanOf(epochs, age) {
+        if (epochs.length === 0 || age > _.first(epochs) || age < _.last(epochs)) {
+            return null;
+        }
+        var i = 1;
+        while (i < epochs.length - 1 && epochs[i] > age) {
+            i++;
+        }
+        return [epochs[i - 1], epochs[Math.min(i, epochs.length - 1)]];
+    }
+
+    /**
+     * Returns the residual of the model against an index point, model minus observation, in meters: positive where
+     * the model is above the observation and negative where it is below. A limiting point has no residual when the
+     * model lies on its open side.
+     *
+     * @param point the index point.
+     * @param {Number} model the relative sea level of the model at the age of the point, in meters.
+     */
+    function residualOf(point, model) {
+        var residual = model - point.rsl;
+        return TYPES[point.type].bound * residual > 0 ? 0 : residual;
+    }
+
+    /**
+     * Returns the misfit of the model against an index point: its residual in standard deviations. The uncertainty
+     * combines the vertical uncertainty with the age uncertainty, converted to meters by the rate of relative sea
+     * level change at that age.
+     *
+     * @param point the index point.
+     * @param {Number} residual the residual of the model, in meters. See residualOf.
+     * @param {Number} rate the rate of relative sea level change at the age of the point, in meters per year.
+     */
+    function misfitOf(point, residual, rate) {
+        var σ = Math.sqrt(point.rslError * point.rslError + rate * rate * point.ageError * point.ageError);
+        return residual / σ;
+    }
+
+    /**
+     * Compares index points with the relative sea level of the GIA model at the age of each point. The model is
+     * interpolated linearly in time between the two epochs of the catalog that span the age, so only those epochs
+     * are loaded. Points older or younger than every epoch, or lying in holes of the model, have no model value and
+     * no misfit.
+     *
+     * @param {Array} points the index points. See parseIndexPoints.
+     * @param attr the configuration attributes.
+     * @param cancel the cancel of the calling task.
+     * @returns {Object} a promise for copies of the points, each with model: m, rate: m/yr, residual: m, and misfit:
+     *          σ, or null if cancelled.
+     */
+    function compareIndexPoints(points, attr, cancel) {
+        var samples = points.map(function() { return {}; });  // epoch -> model value, for the span of each point
+        function spanned(epochs) {
+            var ends = _.flatten(points.map(function(point) { return spanOf(epochs, point.age) || []; }));
+            return epochs.filter(function(epoch) { return _.contains(ends, epoch); });
+        }
+        return products.forEachGiaEpoch(attr, function(grid, epoch, epochs) {
+            points.forEach(function(point, i) {
+                var span = spanOf(epochs, point.age);
+                if (span && (span[0] === epoch || span[1] === epoch)) {
+                    samples[i][epoch] = grid.interpolate(point.lon, point.lat);
+                }
+            });
+        }, cancel, spanned).then(function(product) {
+            if (!product) return null;
+            return points.map(function(point, i) {
+                var span = spanOf(product.epochs, point.age), model = null, rate = null, residual = null, misfit = null;
+                var older = span && samples[i][span[0]], newer = span && samples[i][span[1]];
+                if (µ.isValue(older) && µ.isValue(newer)) {
+                    var years = span[0] - span[1];
+                    rate = years > 0 ? (newer - older) / years : 0;
+                    model = older + rate * (span[0] - point.age);
+                    residual = residualOf(point, model);
+                    misfit = misfitOf(point, residual, rate);
+                }
+                return _.extend({}, point, {model: model, rate: rate, residual: residual, misfit: misfit});
+            });
+        });
+    }
+
+    /**
+     * Summarizes how well the model fits the specified observations. Observations without a misfit, such as those
+     * beyond the epochs of the model, are left out.
+     *
+     * @param {Array} compared observations compared with the model, each having a residual and a misfit.
+     * @returns {Object} {n:, chiSquared:, meanChiSquared:, rms:, bias:}, where the mean is chi-squared over n, and
+     *          the rms and bias are those of the residuals, in their units. All but n are null when there are no
+     *          misfits.
+     */
+    function fitStatistics(compared) {
+        var fitted = compared.filter(function(d) { return µ.isValue(d.misfit); }), n = fitted.length;
+        if (n === 0) {
+            return {n: 0, chiSquared: null, meanChiSquared: null, rms: null, bias: null};
+        }
+        var χ2 = 0, sumSquares = 0, sum = 0;
+        fitted.forEach(function(d) {
+            χ2 += d.misfit * d.misfit;
+            sumSquares += d.residual * d.residual;
+            sum += d.residual;
+        });
+        return {n: n, chiSquared: χ2, meanChiSquared: χ2 / n, rms: Math.sqrt(sumSquares / n), bias: sum / n};
+    }
+
+    /**
+     * @returns {String} the region of the observation: the one it names, or else its band of latitude.
+     */
+    function regionOf(d) {
+        if (d.region) {
+            return d.region;
+        }
+        var south = µ.clamp(Math.floor(d.lat / REGION_BAND) * REGION_BAND, -90, 90 - REGION_BAND);
+        var north = south + REGION_BAND;
+        return south < 0 ?
+            Math.abs(north) + "-" + Math.abs(south) + "°S" :
+            south + "-" + north + "°N";
+    }
+
+    /**
+     * Groups the observations by the specified key, and summarizes the fit of each group. See fitStatistics.
+     *
+     * @param {Array} compared observations compared with the model.
+     * @param {Function} keyOf function(d) that returns the group of the observation, or an array [order, label] for
+     *        groups ordered other than by name.
+     * @returns {Array} the groups in order: [{label:, n:, chiSquared:, ...}, ...], where n counts only the
+     *          observations having a misfit, and total counts them all.
+     */
+    function groupStatistics(compared, keyOf) {
+        var groups = _.groupBy(compared, function(d) { return JSON.stringify([].concat(keyOf(d))); });
+        return _.sortBy(_.map(groups, function(members, key) {
+            var parts = JSON.parse(key);
+            return _.extend(fitStatistics(members), {order: parts[0], label: _.last(parts), total: members.length});
+        }), "order");
+    }
+
+    /**
+     * @returns {Function} a key for groupStatistics that places each observation in a window of time of the
+     *          specified width, such as "2-4 ka" for a width of 2000 years.
+     */
+    function timeWindow(width) {
+        return function(d) {
+            var start = Math.floor(d.age / width) * width;
+            return [start, start / 1000 + "-" + (start + width) / 1000 + " ka"];
+        };
+    }
+
+    /**
+     * Parses a PSMSL station list, such as the filelist.txt of the RLR annual means, having one station per line:
+     *
+     *     id; latitude; longitude; name; coastline code; station code; quality flag
+     *
+     * @returns {Array} the stations: [{id:, lat:, lon:, name:, coastline:, code:}, ...]
+     */
+    function parseStationList(text, name) {
+        return text.split(/\r?\n/).filter(µ.isTruthy).map(function(line, i) {
+            var fields = line.split(";").map(function(field) { return field.trim(); });
+            var station = {
+                id: fields[0],
+                lat: +fields[1],
+                lon: +fields[2],
+                name: fields[3],
+                coastline: fields[4],
+                code: fields[5]
+            };
+            if (!station.id || !_.isFinite(station.lat) || !_.isFinite(station.lon) || !fields[1] || !fields[2]) {
+                throw new Error(name + ", line " + (i + 1) + ": not a PSMSL station");
+            }
+            return station;
+        });
+    }
+
+    /**
+     * Parses a PSMSL file of annual mean sea level, such as the RLR data of a station, having one year per line:
+     *
+     *     year; mean sea level in mm; flag for missing days; flag for attention
+     *
+     * Years without a mean are left out.
+     *
+     * @returns {Array} the annual means, in mm: [{year:, height:}, ...]
+     */
+    function parseAnnualMeans(text, name) {
+        var series = [];
+        text.split(/\r?\n/).forEach(function(line, i) {
+            if (!line.trim()) return;
+            var fields = line.split(";");
+            var year = +fields[0], height = +fields[1];
+            if (fields.length < 2 || !_.isFinite(year) || !_.isFinite(height)) {
+                throw new Error(name + ", line " + (i + 1) + ": not a PSMSL annual mean");
+            }
+            if (height !== PSMSL_MISSING) {
+                series.push({year: year, height: height});
+            }
+        });
+        return series;
+    }
+
+    /**
+     * Assembles tide gauges from PSMSL files: a station list, and the annual means of each station in a file named
+     * after its id, such as 1.rlrdata. Stations of the list without a file of annual means are left out.
+     *
+     * @param {Array} files the contents of the files: [{name:, text:}, ...]
+     * @returns {Object} {name: the name of the station list, stations: [{id:, lat:, lon:, name:, ..., series:}, ...]}
+     */
+    function parseTideGauges(files) {
+        function isData(file) {
+            return /\.rlrdata$/i.test(file.name);
+        }
+        var lists = files.filter(function(file) { return !isData(file); });
+        if (lists.length !== 1) {
+            throw new Error("Choose one station list, such as filelist.txt, with the annual means");
+        }
+        var list = lists[0], stations = parseStationList(list.text, list.name), series = {};
+        files.filter(isData).forEach(function(file) {
+            var id = file.name.replace(/\.rlrdata$/i, "");
+            if (!_.findWhere(stations, {id: id})) {
+                throw new Error(list.name + " has no station " + id);
+            }
+            series[id] = parseAnnualMeans(file.text, file.name);
+        });
+        return {
+            name: list.name,
+            stations: stations.filter(function(station) {
+                return _.has(series, station.id);
+            }).map(function(station) {
+                return _.extend(station, {series: series[station.id]});
+            })
+        };
+    }
+
+    /**
+     * Fits a straight line to the annual means within the specified period, by least squares.
+     *
+     * @param {Array} series the annual means: [{year:, height: mm}, ...]
+     * @param {Array} period the first and last years of the period, either null to leave that end open.
+     * @returns {Object} {rate: mm/yr, error: mm/yr, n:, first:, last:}, where error is the standard error of the rate
+     *          assuming independent residuals, and first and last are the years of the means used; or null if there
+     *          are fewer than MIN_TREND_YEARS means within the period.
+     */
+    function linearTrend(series, period) {
+        var start = µ.coalesce(period[0], -Infinity), end = µ.coalesce(period[1], Infinity);
+        var points = series.filter(function(d) { return start <= d.year && d.year <= end; }), n = points.length;
+        if (n < MIN_TREND_YEARS) {
+            return null;
+        }
+        var meanYear = 0, meanHeight = 0;
+        points.forEach(function(d) {
+            meanYear += d.year / n;
+            meanHeight += d.height / n;
+        });
+        var sxx = 0, sxy = 0;
+        points.forEach(function(d) {
+            sxx += (d.year - meanYear) * (d.year - meanYear);
+            sxy += (d.year - meanYear) * (d.height - meanHeight);
+        });
+        var rate = sxy / sxx, ssr = 0;
+        points.forEach(function(d) {
+            var r = d.height - meanHeight - rate * (d.year - meanYear);
+            ssr += r * r;
+        });
+        return {
+            rate: rate,
+            error: Math.sqrt(ssr / (n - 2) / sxx),
+            n: n,
+            first: _.first(points).year,
+            last: _.last(points).year
+        };
+    }
+
+    /**
+     * Compares the trend of a tide gauge with the modelled GIA rate at the gauge. The tide gauge measures relative sea
+     * level, so subtracting the GIA rate leaves the trend corrected for GIA. Like an index point, the gauge also has
+     * a residual, the GIA rate minus the trend, and a misfit, the residual in standard errors of the trend, so that
+     * fitStatistics summarizes gauges too. As the trend includes the rise of global mean sea level, which the GIA
+     * model leaves out, the bias of the residuals is expected to be negative.
+     *
+     * @param station the tide gauge, having its annual means as series and the GIA rate at the gauge as giaRate.
+     * @param {Array} period the period of the trend. See linearTrend.
+     * @returns {Object} the station with its trend: {trend: mm/yr, trendError: mm/yr, n:, first:, last:, giaRate:
+     *          mm/yr, corrected: mm/yr, residual: mm/yr, misfit: σ}, where the values that cannot be computed are
+     *          null.
+     */
+    function tideGaugeTrend(station, period) {
+        var trend = linearTrend(station.series, period), giaRate = µ.coalesce(station.giaRate, null);
+        var residual = trend && µ.isValue(giaRate) ? giaRate - trend.rate : null;
+        return _.extend({}, station, {
+            trend: trend ? trend.rate : null,
+            trendError: trend ? trend.error : null,
+            n: trend ? trend.n : 0,
+            first: trend ? trend.first : null,
+            last: trend ? trend.last : null,
+            giaRate: giaRate,
+            corrected: trend && µ.isValue(giaRate) ? trend.rate - giaRate : null,
+            residual: residual,
+            misfit: µ.isValue(residual) && trend.error > 0 ? residual / trend.error : null
+        });
+    }
+
+    /**
+     * @returns {String} the CSS color of the specified misfit, or null if there is no misfit.
+     */
+    function misfitColor(misfit) {
+        if (!µ.isValue(misfit)) {
+            return null;
+        }
+        var rgb = misfitColorScale(µ.clamp(misfit, -MAX_MISFIT, MAX_MISFIT));
+        return "rgb(" + rgb[0] + "," + rgb[1] + "," + rgb[2] + ")";
+    }
+
+    /**
+     * @returns {String} a description of the specified type of index point, such as "marine limiting".
+     */
+    function describeType(type) {
+        return TYPES[type].label;
+    }
+
+    return {
+        parseIndexPoints: parseIndexPoints,
+        compareIndexPoints: compareIndexPoints,
+        fitStatistics: fitStatistics,
+        groupStatistics: groupStatistics,
+        regionOf: regionOf,
+        timeWindow: timeWindow,
+        parseStationList: parseStationList,
+        parseAnnualMeans: parseAnnualMeans,
+        parseTideGauges: parseTideGauges,
+        linearTrend: linearTrend,
+        tideGaugeTrend: tideGaugeTrend,
+        misfitColor: misfitColor,
+        describeType: describeType
+    };
+
+}();
@@ -12,36 +12,162 @@ var products = function() {
     var GIA_PATH = "/data/gia";
     var WEATHER_PATH = "/data/weather";
     var OSCAR_PATH = "/data/oscar";
+    var TOPOGRAPHY_PATH = "/data/topography";
+    var ICE_PATH = "/data/ice";
+    var CRUSTAL_MOTION_PATH = "/data/crustal";
+    var EARTH_RADIUS = 6371;  // km
+    var τ = 2 * Math.PI;
+    var MAX_CONTOUR_LEVELS = 100;  // isolines traced at most for one grid, as each level needs a pass over the lattice
+    // Epoch grids kept at most. A grid stores 4 bytes per point and component, so 32 grids of 1024 x 512 scalars take
+    // 64 MB, and 128 MB if they are vectors.
+    var MAX_CACHED_EPOCHS = 32;
+    var ICE_MARGIN_THICKNESS = 1;  // ice thinner than this counts as ice free (m)
     var catalogs = {
         // The OSCAR catalog is an array of file names, sorted and prefixed with yyyyMMdd. Last item is the
         // most recent. For example: [ 20140101-abc.json, 20140106-abc.json, 20140112-abc.json, ... ]
-        oscar: µ.loadJson([OSCAR_PATH, "catalog.json"].join("/"))
+        oscar: µ.loadJson([OSCAR_PATH, "catalog.json"].join("/")),
+        // The GIA catalog is an array of file names. Names suffixed with the age of the epoch in years before present
+        // hold a single epoch, for example: [ gia-21000ya.json, gia-20000ya.json, ..., gia-0ya.json ]. Any other
+        // name is a cube holding many epochs along a time axis. See giaEntries.
+        gia: µ.loadJson([GIA_PATH, "catalog.json"].join("/")),
+        // The ice history and crustal motion catalogs have the same form as the GIA catalog. They are optional, so
+        // they are loaded on first use. See epochCatalog.
+        ice: null,
+        crustal: null
     };
+    var catalogPaths = {gia: GIA_PATH, ice: ICE_PATH, crustal: CRUSTAL_MOTION_PATH};  // directory of each catalog
+    var cubes = {};  // cube path -> promise of the parsed cube, so each cube is downloaded only once
+    var masks = {};  // mask path -> promise of the mask grid, so each mask is downloaded only once
+    var topographyBase = TOPOGRAPHY_PATH;  // directory of the topography grid, see useTopography
+    var topography = null;  // promise of the present-day topography grid, so it is downloaded only once
+    var epochGrids = {};  // product type and catalog entry -> promise of its grid, see loadEpochGrid
+    var epochGridCount = 0;
 
     function buildProduct(overrides) {
         return _.extend({
             description: "",
             paths: [],
             date: null,
+            epoch: null,  // paleo products declare an epoch, in years before present, instead of a date
+            contourInterval: null,  // the usual spacing of isolines, in the units of the data, for scalar products
             navigate: function(step) {
                 return gfsStep(this.date, step);
             },
             load: function(cancel) {
                 var me = this;
-                return when.map(this.paths, µ.loadJson).then(function(files) {
-                    return cancel.requested ? null : _.extend(me, buildGrid(me.builder.apply(me, files)));
+                return when.map(this.paths, loadGridFile).then(function(files) {
+                    if (cancel.requested) return null;
+                    return buildMaskedGrid(me.builder.apply(me, files), me.paths[0]).then(function(grid) {
+                        return cancel.requested ? null : _.extend(me, grid);
+                    });
                 });
             }
         }, overrides);
     }
 
-    function giaPath(attr) {
-        // console.log(attr);
-        return [GIA_PATH, "gia-1000ya.json"].join("/");
+    /**
+     * Builds a product from a catalog of epochs (see giaEntries), such as the GIA or ice history catalogs, for the
+     * configured epoch. Between two catalog epochs, both neighbors are loaded and blended in time. Slices of a cube
+     * come from the cached cube, so stepping through it needs no further downloads. Records after the first are
+     * regional inserts, nested over the global grid.
+     *
+     * @param {Array} catalog the catalog entries, sorted oldest first.
+     * @param attr the configuration attributes.
+     * @param overrides the product's own attributes, such as its type, description, units and scale.
+     */
+    function buildEpochProduct(catalog, attr, overrides) {
+        return buildProduct(_.extend({
+            paths: giaPaths(catalog, attr),
+            epoch: giaEpoch(catalog, attr),
+            epochs: _.pluck(catalog, "years"),  // all available epochs, oldest first
+            recordsPerGrid: 1,  // 2 for vectors, stored as consecutive records of their u and v components
+            navigate: function(step) {
+                return giaStep(catalog, this.epoch, step);
+            },
+            load: function(cancel) {
+                var me = this, entries = giaEntriesFor(catalog, this), older = entries[0], newer = entries[1];
+                if (!newer) {
+                    return loadEpochGrid(this, older).then(function(grid) {
+                        return cancel.requested ? null : _.extend(me, grid, {epoch: me.epoch});
+                    });
+                }
+                return when.map(entries, loadGiaEntry).then(function(files) {
+                    if (cancel.requested) return null;
+                    // The fraction of the way from the older epoch to the newer, from the ages of the catalog.
+                    var t = µ.clamp((older.years - me.epoch) / (older.years - newer.years), 0, 1);
+                    return buildEpochGrid(me, files[0], older, function(builder, k) {
+                        return blendBuilders(builder, me.builder(files[1], newer.slice, k), t);
+                    }).then(function(grid) {
+                        // Keep the configured epoch rather than the one the header declares, if any.
+                        return cancel.requested ? null : _.extend(me, grid, {epoch: me.epoch});
+                    });
+                });
+            },
+            builder: function(file, slice, k) {
+                var record = file[k || 0], data = record.data, header = record.header;
+                if (µ.isValue(slice)) {
+                    // A cube stacks its slices one after another, each nx * ny values long.
+                    var offset = slice * header.nx * header.ny;
+                    header = _.extend({}, header, {timeIndex: slice, timeValue: record.time[slice]});
+                    return {
+                        header: header,
+                        interpolate: bilinearInterpolateScalar,
+                        data: function(i) {
+                            return data[offset + i];
+                        }
+                    };
+                }
+                return {
+                    header: header,
+                    interpolate: bilinearInterpolateScalar,
+                    data: function(i) {
+                        return data[i];
+                    }
+                }
+            }
+        }, overrides));
+    }
+
+    /**
+     * Builds the grid of an epoch product from the file holding the specified catalog entry: the global grid with
+     * any regional inserts nested over it.
+     *
+     * @param product the epoch product. See buildEpochProduct.
+     * @param file the file holding the entry.
+     * @param entry the catalog entry.
+     * @param {Function} [adjust] function(builder, k) returning the builder to use in place of the builder of the
+     *        grid starting at record k, for example one blended with the next epoch.
+     * @returns {Object} a promise for the grid.
+     */
+    function buildEpochGrid(product, file, entry, adjust) {
+        return when.all(_.range(0, file.length, product.recordsPerGrid).map(function(k) {
+            var builder = product.builder(file, entry.slice, k);
+            return buildMaskedGrid(adjust ? adjust(builder, k) : builder, entry.path);
+        })).then(nestGrids);
     }
-    function giaYear(attr) {
-        var now = new Date();
-        return new Date(Date.UTC(1000, 0, 1, 0, 0, 0, 0));
+
+    /**
+     * Returns a promise for the grid of an epoch product at exactly the epoch of the specified catalog entry. The
+     * grids are cached, so that visiting every epoch again, as each RSL history does, needs no further downloads.
+     * Once MAX_CACHED_EPOCHS grids are cached, further grids are built afresh each time.
+     *
+     * @param product the epoch product. See buildEpochProduct.
+     * @param entry the catalog entry.
+     */
+    function loadEpochGrid(product, entry) {
+        var key = [product.type, entry.path, entry.slice].join(" ");
+        var grid = epochGrids[key] || loadGiaEntry(entry).then(function(file) {
+            return buildEpochGrid(product, file, entry);
+        });
+        if (!epochGrids[key] && epochGridCount < MAX_CACHED_EPOCHS) {
+            epochGrids[key] = grid;
+            epochGridCount++;
+            grid.otherwise(function() {
+                delete epochGrids[key];  // allow a later attempt to try again
+                epochGridCount--;
+            });
+        }
+        return grid;
     }
 
     /**
@@ -120,47 +246,298 @@ var products = function() {
     var FACTORIES = {
         "gia": {
             matches: _.matches({param: "gia"}),
+            create: function(attr) {
+                return epochCatalog("gia").then(function(catalog) {
+                    return buildEpochProduct(catalog, attr, {
+                        field: "scalar",
+                        type: "gia",
+                        description: localize({
+                            name: {en: "Relative Sea Level Change", ja: "相対海面変化"},
+                            qualifier: {en: " @ " + describeSurface(attr), ja: " @ " + describeSurfaceJa(attr)}
+                        }),
+                        units: [
+                            {label: "m",  conversion: function(x) { return x; },            precision: 1},
+                            {label: "cm", conversion: function(x) { return x * 100; },      precision: 0},
+                            {label: "mm", conversion: function(x) { return x * 1000; },     precision: 0}
+                        ],
+                        scale: {
+                            bounds: [-10, 10],
+                            // gradient: function(v, a) {
+                                // Normalize v to [0, 1] for color mapping
+                                // var t = Math.min(Math.max((v + 10) / 20, 0), 1);
+                                // return µ.sinebowColor(t, a);
+                            // }
+                            gradient: µ.segmentedColorScale([
+                                [-10, [0, 0, 64]],   // Dark deep blue
+                                [-5, [0, 0, 255]],   // Deep blue
+                                [0, [255, 255, 255]], // White, fully transparent
+                                [5, [255, 0, 0]],    // Light red
+                                [10, [139, 0, 0]]     // Dark red
+                            ])
+                        },
+                        contourInterval: 10,
+                        particles: {velocityScale: 1/60000, maxIntensity:  1}
+                    });
+                });
+            }
+        },
+
+        "gia_difference": {
+            matches: _.matches({param: "gia", overlayType: "gia_difference"}),
+            create: function(attr) {
+                // A − B, where A is the configured epoch and B the reference epoch (the most recent if none).
+                var minuendProduct = FACTORIES.gia.create(attr);
+                var subtrahendProduct = FACTORIES.gia.create(_.extend({}, attr, {epoch: attr.referenceEpoch}));
+                return when.all([minuendProduct, subtrahendProduct]).spread(function(minuend, subtrahend) {
+                    var qualifier = " @ " + µ.formatEpoch(minuend.epoch) + " - " + µ.formatEpoch(subtrahend.epoch);
+                    return buildProduct({
+                        field: "scalar",
+                        type: "gia_difference",
+                        description: localize({
+                            name: {en: "Relative Sea Level Difference", ja: "相対海面差"},
+                            qualifier: {en: qualifier, ja: qualifier}
+                        }),
+                        paths: minuend.paths.concat(subtrahend.paths),
+                        epoch: minuend.epoch,
+                        referenceEpoch: subtrahend.epoch,
+                        load: function(cancel) {
+                            var me = this;
+                            return when.all([minuend.load(cancel), subtrahend.load(cancel)]).spread(function(a, b) {
+                                return cancel.requested ? null : _.extend(me, differenceGrids(a, b));
+                            });
+                        },
+                        units: minuend.units,
+                        contourInterval: minuend.contourInterval,
+                        scale: {
+                            bounds: [-50, 50],
+                            gradient: µ.segmentedColorScale([
+                                [-50, [64, 0, 75]],     // Dark purple
+                                [-20, [153, 112, 171]], // Light purple
+                                [0, [247, 247, 247]],   // White
+                                [20, [90, 174, 97]],    // Light green
+                                [50, [0, 68, 27]]       // Dark green
+                            ])
+                        }
+                    });
+                });
+            }
+        },
+
+        "gia_rate": {
+            matches: _.matches({param: "gia", overlayType: "gia_rate"}),
+            create: function(attr) {
+                var giaProduct = FACTORIES.gia.create(attr);
+                var catalog = epochCatalog("gia");
+                return when.all([giaProduct, catalog]).spread(function(giaProduct, catalog) {
+                    // The rate over the span between the two catalog epochs around the configured epoch.
+                    var span = giaSpan(catalog, giaProduct.epoch), older = span[0], newer = span[1];
+                    var qualifier = " @ " + µ.formatEpoch(older.years) + " - " + µ.formatEpoch(newer.years);
+                    return buildProduct({
+                        field: "scalar",
+                        type: "gia_rate",
+                        description: localize({
+                            name: {en: "Rate of Relative Sea Level Change", ja: "相対海面変化率"},
+                            qualifier: {en: qualifier, ja: qualifier}
+                        }),
+                        paths: _.uniq(_.pluck(span, "path")),
+                        epoch: giaProduct.epoch,
+                        load: function(cancel) {
+                            var me = this;
+                            return when.map(span, loadGiaEntry).then(function(files) {
+                                if (cancel.requested) return null;
+                                return buildMaskedGrid(me.builder(files[0], files[1]), older.path);
+                            }).then(function(grid) {
+                                // Keep the configured epoch rather than that of the older grid.
+                                return cancel.requested || !grid ? null : _.extend(me, grid, {epoch: me.epoch});
+                            });
+                        },
+                        builder: function(olderFile, newerFile) {
+                            var olderBuilder = giaProduct.builder(olderFile, older.slice);
+                            var newerBuilder = giaProduct.builder(newerFile, newer.slice);
+                            var olderData = olderBuilder.data, newerData = newerBuilder.data;
+                            var header = olderBuilder.header, years = older.years - newer.years;
+                            var missing = missingValues(header);
+                            function isMissing(x) {
+                                return !µ.isValue(x) || _.contains(missing, x);
+                            }
+                            return {
+                                header: _.omit(header, "missingValue"),
+                                interpolate: bilinearInterpolateScalar,
+                                data: function(i) {
+                                    var a = olderData(i), b = newerData(i);
+                                    // m over years, in mm/yr. Undefined if the catalog has only one epoch.
+                                    return years > 0 && !isMissing(a) && !isMissing(b) ? (b - a) / years * 1000 : null;
+                                }
+                            };
+                        },
+                        units: [
+                            {label: "mm/yr", conversion: function(x) { return x; }, precision: 1},
+                            {label: "m/kyr", conversion: function(x) { return x; }, precision: 1}
+                        ],
+                        contourInterval: 1,
+                        scale: {
+                            bounds: [-20, 20],
+                            gradient: µ.segmentedColorScale([
+                                [-20, [84, 48, 5]],     // Dark brown
+                                [-5, [216, 179, 101]],  // Light brown
+                                [0, [245, 245, 245]],   // White
+                                [5, [90, 180, 172]],    // Light teal
+                                [20, [0, 60, 48]]       // Dark teal
+                            ])
+                        }
+                    });
+                });
+            }
+        },
+
+        "ice": {
+            matches: _.matches({param: "gia", overlayType: "ice"}),
+            create: function(attr) {
+                return epochCatalog("ice").then(function(catalog) {
+                    var qualifier = " @ " + µ.formatEpoch(giaEpoch(catalog, attr));
+                    return buildEpochProduct(catalog, attr, {
+                        field: "scalar",
+                        type: "ice",
+                        description: localize({
+                            name: {en: "Ice Thickness", ja: "氷床厚"},
+                            qualifier: {en: qualifier, ja: qualifier}
+                        }),
+                        units: [
+                            {label: "m",  conversion: function(x) { return x; },            precision: 0},
+                            {label: "km", conversion: function(x) { return x / 1000; },     precision: 2},
+                            {label: "ft", conversion: function(x) { return x * 3.28084; },  precision: 0}
+                        ],
+                        scale: {
+                            bounds: [0, 4000],
+                            gradient: µ.segmentedColorScale([
+                                [0, [48, 48, 48]],        // Dark gray, ice free
+                                [1, [240, 248, 255]],     // White, thinnest ice
+                                [1000, [158, 202, 225]],  // Light blue
+                                [2500, [66, 146, 198]],   // Blue
+                                [4000, [8, 48, 107]]      // Dark blue
+                            ])
+                        },
+                        contourInterval: 500
+                    });
+                });
+            }
+        },
+
+        "crustal_motion": {
+            matches: _.matches({param: "gia", overlayType: "crustal_motion"}),
+            create: function(attr) {
+                return epochCatalog("crustal").then(function(catalog) {
+                    var qualifier = " @ " + µ.formatEpoch(giaEpoch(catalog, attr));
+                    return buildEpochProduct(catalog, attr, {
+                        field: "vector",
+                        type: "crustal_motion",
+                        description: localize({
+                            name: {en: "Horizontal Crustal Motion", ja: "水平地殻変動"},
+                            qualifier: {en: qualifier, ja: qualifier}
+                        }),
+                        recordsPerGrid: 2,
+                        builder: function(file, slice, k) {
+                            // Eastward velocity followed by northward velocity, in mm/yr.
+                            var u = file[k || 0], v = file[(k || 0) + 1], header = u.header, offset = 0;
+                            if (µ.isValue(slice)) {
+                                offset = slice * header.nx * header.ny;
+                                header = _.extend({}, header, {timeIndex: slice, timeValue: u.time[slice]});
+                            }
+                            return {
+                                header: header,
+                                interpolate: bilinearInterpolateVector,
+                                data: function(i) {
+                                    return [u.data[offset + i], v.data[offset + i]];
+                                }
+                            };
+                        },
+                        units: [
+                            {label: "mm/yr", conversion: function(x) { return x; },       precision: 1},
+                            {label: "cm/yr", conversion: function(x) { return x / 10; },  precision: 2},
+                            {label: "m/kyr", conversion: function(x) { return x; },       precision: 1}
+                        ],
+                        scale: {
+                            bounds: [0, 10],
+                            gradient: µ.segmentedColorScale([
+                                [0, [37, 4, 42]],
+                                [1, [41, 10, 130]],
+                                [3, [81, 40, 40]],
+                                [6, [192, 37, 149]],
+                                [10, [255, 255, 255]]
+                            ])
+                        },
+                        particles: {velocityScale: 1/35000, maxIntensity: 10}
+                    });
+                });
+            }
+        },
+
+        "topography": {
+            matches: _.matches({param: "gia", overlayType: "topography"}),
             create: function(attr) {
                 return buildProduct({
                     field: "scalar",
-                    type: "gia",
+                    type: "topography",
                     description: localize({
-                        name: {en: "Relative Sea Level Change", ja: "相対海面変化"},
-                        qualifier: {en: " @ " + describeSurface(attr), ja: " @ " + describeSurfaceJa(attr)}
+                        name: {en: "Topography", ja: "地形"},
+                        qualifier: {en: " @ Present", ja: " @ 現在"}
                     }),
-                    paths: [giaPath(attr)],
-                    date: giaYear(attr),
-                    builder: function(file) {
-                        var data = file[0].data;
-                        return {
-                            header: file[0].header,
-                            interpolate: bilinearInterpolateScalar,
-                            data: function(i) {
-                                return data[i];
-                            }
-                        }
+                    paths: [[topographyBase, "topography.json"].join("/")],
+                    load: function(cancel) {
+                        var me = this;
+                        return loadTopography().then(function(grid) {
+                            return cancel.requested ? null : _.extend(me, grid);
+                        });
                     },
                     units: [
-                        {label: "m",  conversion: function(x) { return x; },            precision: 1},
-                        {label: "cm", conversion: function(x) { return x * 100; },      precision: 0},
-                        {label: "mm", conversion: function(x) { return x * 1000; },     precision: 0}
+                        {label: "m",  conversion: function(x) { return x; },            precision: 0},
+                        {label: "km", conversion: function(x) { return x / 1000; },     precision: 2},
+                        {label: "ft", conversion: function(x) { return x * 3.28084; },  precision: 0}
                     ],
+                    contourInterval: 500,
                     scale: {
-                        bounds: [-10, 10],
-                        // gradient: function(v, a) {
-                            // Normalize v to [0, 1] for color mapping
-                            // var t = Math.min(Math.max((v + 10) / 20, 0), 1);
-                            // return µ.sinebowColor(t, a);
-                        // }
+                        bounds: [-6000, 4000],
                         gradient: µ.segmentedColorScale([
-                            [-10, [0, 0, 64]],   // Dark deep blue
-                            [-5, [0, 0, 255]],   // Deep blue
-                            [0, [255, 255, 255]], // White, fully transparent
-                            [5, [255, 0, 0]],    // Light red
-                            [10, [139, 0, 0]]     // Dark red
+                            [-6000, [8, 29, 88]],     // Dark blue
+                            [-200, [65, 182, 196]],   // Light blue
+                            [0, [199, 233, 180]],     // Pale cyan, at sea level
+                            [1, [26, 152, 80]],       // Green, just above sea level
+                            [1000, [217, 203, 130]],  // Tan
+                            [4000, [120, 70, 40]]     // Brown
                         ])
-                    },
-                    particles: {velocityScale: 1/60000, maxIntensity:  1}
+                    }
+                });
+            }
+        },
+
+        "paleotopography": {
+            matches: _.matches({param: "gia", overlayType: "paleotopography"}),
+            create: function(attr) {
+                var topographyProduct = FACTORIES.topography.create(attr);
+                return when(FACTORIES.gia.create(attr)).then(function(giaProduct) {
+                    var qualifier = " @ " + µ.formatEpoch(giaProduct.epoch);
+                    return buildProduct({
+                        field: "scalar",
+                        type: "paleotopography",
+                        description: localize({
+                            name: {en: "Paleotopography", ja: "古地形"},
+                            qualifier: {en: qualifier, ja: qualifier}
+                        }),
+                        paths: topographyProduct.paths.concat(giaProduct.paths),
+                        epoch: giaProduct.epoch,
+                        operandLabels: ["Topography", "RSL"],
+                        load: function(cancel) {
+                            var me = this;
+                            return giaProduct.load(cancel).then(function(rsl) {
+                                return cancel.requested ? null : paleotopography(rsl);
+                            }).then(function(grid) {
+                                return cancel.requested || !grid ? null : _.extend(me, grid);
+                            });
+                        },
+                        units: topographyProduct.units,
+                        contourInterval: topographyProduct.contourInterval,
+                        scale: topographyProduct.scale
+                    });
                 });
             }
         },
@@ -483,6 +860,7 @@ var products = function() {
                         {label: "mmHg", conversion: function(x) { return x / 133.322387415; }, precision: 0},
                         {label: "inHg", conversion: function(x) { return x / 3386.389; }, precision: 1}
                     ],
+                    contourInterval: 400,  // isobars every 4 hPa
                     scale: {
                         bounds: [92000, 105000],
                         gradient: µ.segmentedColorScale([
@@ -605,6 +983,601 @@ var products = function() {
         return parts ? new Date(Date.UTC(+parts[0], parts[1] - 1, +parts[2], 0)) : null;
     }
 
+    /**
+     * @returns {Number} the age, in years before present, of the epoch held by the specified GIA file name, or
+     *          null if the file is a cube.
+     */
+    function giaYears(file) {
+        var tokens = /(\d+)ya\.(json|bin)$/.exec(file);
+        return tokens ? +tokens[1] : null;
+    }
+
+    /**
+     * Loads the GIA cube at the specified path, or returns the cube already loaded from there. A cube is laid out
+     * like any other GIA file, plus a time axis and the data of every slice stacked in time order:
+     *
+     *     [{header: {..., nTime: n}, time: [t0, t1, ..., tn-1], data: [slice 0, slice 1, ..., slice n-1]}]
+     *
+     * where times are ages in ka before present, same as header.timeValue.
+     */
+    function loadCube(path) {
+        return cubes[path] || (cubes[path] = loadGridFile(path).otherwise(function(error) {
+            delete cubes[path];  // allow a later attempt to try again
+            throw error;
+        }));
+    }
+
+    /**
+     * Expands the GIA catalog into one entry per available epoch: {years: Number, path: String, slice: Number?},
+     * where slice is the index of the epoch along the time axis of a cube, or null for single epoch files. Cubes
+     * are loaded to read their time axis.
+     *
+     * @param {Array} files the catalog file names.
+     * @param {String} [base] the directory holding the files. Default is the GIA directory.
+     * @returns {Object} a promise for the entries, sorted oldest first. Last item is most recent.
+     */
+    function giaEntries(files, base) {
+        return when.map(files, function(file) {
+            var path = [base || GIA_PATH, file].join("/"), years = giaYears(file);
+            if (µ.isValue(years)) {
+                return [{years: years, path: path, slice: null}];
+            }
+            return loadCube(path).then(function(cube) {
+                return cube[0].time.map(function(t, i) {
+                    return {years: Math.round(t * 1000), path: path, slice: i};
+                });
+            });
+        }).then(function(entries) {
+            return _.sortBy(_.flatten(entries, true), function(entry) { return -entry.years; });
+        });
+    }
+
+    /**
+     * Returns a promise for the entries of a catalog of epochs, such as the GIA or ice history catalogs, loading the
+     * catalog on first use. See giaEntries.
+     *
+     * @param {String} name the name of the catalog in catalogs.
+     */
+    function epochCatalog(name) {
+        var base = catalogPaths[name];
+        var files = catalogs[name] || (catalogs[name] = µ.loadJson([base, "catalog.json"].join("/")).otherwise(
+            function(error) {
+                catalogs[name] = null;  // allow a later attempt to try again
+                throw error;
+            }));
+        return when(files).then(function(files) {
+            return giaEntries(files, base);
+        });
+    }
+
+    /**
+     * Reads the catalog of epochs of the specified name from the specified directory from now on, so that products
+     * show the output of another model, or test fixtures.
+     *
+     * @param {String} name the name of the catalog: "gia", "ice" or "crustal".
+     * @param {String} base the directory holding the catalog and the files it lists.
+     */
+    function useCatalog(name, base) {
+        catalogPaths[name] = base;
+        catalogs[name] = null;
+    }
+
+    /**
+     * Reads the present-day topography from the specified directory from now on, such as that of test fixtures.
+     *
+     * @param {String} base the directory holding topography.json.
+     */
+    function useTopography(base) {
+        topographyBase = base;
+        topography = null;
+    }
+
+    /**
+     * @returns {Object} a promise for the file holding the specified catalog entry.
+     */
+    function loadGiaEntry(entry) {
+        return µ.isValue(entry.slice) ? loadCube(entry.path) : loadGridFile(entry.path);
+    }
+
+    /**
+     * Returns the catalog entry for the GIA epoch closest to the specified age. If offset is non-zero, the entry
+     * that many entries from the closest is returned, where positive offsets move towards the present.
+     *
+     * The result is undefined if there is no entry for the specified age and offset.
+     *
+     * @param {Array} catalog array of entries, sorted oldest first. Last item is most recent.
+     * @param {Number|String} years age of the epoch in years before present, or "current" for the most recent
+     * @param {Number?} offset
+     * @returns {Object} catalog entry
+     */
+    function lookupGia(catalog, years, offset) {
+        offset = +offset || 0;
+        if (years === "current") {
+            return catalog[catalog.length - 1 + offset];
+        }
+        var i = giaIndex(catalog, years);
+        if (i > 0 && (i === catalog.length || years - catalog[i].years > catalog[i - 1].years - years)) {
+            i--;  // the older neighbor is closer
+        }
+        return catalog[i + offset];
+    }
+
+    /**
+     * @returns {Number} the index of the first catalog entry at least as recent as the specified age.
+     */
+    function giaIndex(catalog, years) {
+        return _.sortedIndex(catalog, years, function(x) { return _.isObject(x) ? -x.years : -x; });
+    }
+
+    /**
+     * @returns {Array} the catalog entries needed for the configured age: the one matching epoch, or when the age
+     *          falls between two epochs, the older neighbor followed by the more recent one. Ages outside the
+     *          catalog use the nearest epoch.
+     */
+    function giaEntriesFor(catalog, attr) {
+        var years = attr.epoch, i = µ.isValue(years) ? giaIndex(catalog, years) : -1;
+        var entries = 0 < i && i < catalog.length && catalog[i].years !== years ?
+            [catalog[i - 1], catalog[i]] :
+            [lookupGia(catalog, µ.coalesce(years, "current"))];
+        return entries.filter(µ.isValue);
+    }
+
+    /**
+     * @returns {Array} paths to the files holding the GIA epochs needed for the configured age. See giaEntriesFor.
+     */
+    function giaPaths(catalog, attr) {
+        return _.uniq(_.pluck(giaEntriesFor(catalog, attr), "path"));
+    }
+
+    /**
+     * @returns {Array} the two adjacent catalog entries spanning the specified age, older first: the entry at the age
+     *          or the next more recent one, and the one before it. At the oldest entry, the span is the first two
+     *          entries. A catalog of one entry yields that entry twice.
+     */
+    function giaSpan(catalog, years) {
+        var i = Math.min(Math.max(giaIndex(catalog, years), 1), catalog.length - 1);
+        return [catalog[Math.max(i - 1, 0)], catalog[i]];
+    }
+
+    /**
+     * @returns {Number} the configured age, clamped to the span of the catalog, or the most recent epoch if no age
+     *          is configured.
+     */
+    function giaEpoch(catalog, attr) {
+        if (catalog.length === 0) {
+            return null;
+        }
+        var oldest = _.first(catalog).years, newest = _.last(catalog).years;
+        return µ.isValue(attr.epoch) ? µ.clamp(attr.epoch, newest, oldest) : newest;
+    }
+
+    /**
+     * @returns {Number} the chronologically next or previous GIA epoch, in years before present. Steps of ±1 move
+     * 1 ka and steps of ±10 move 10 ka, landing on the catalog entry closest to that age. A step always moves at
+     * least one entry, so sparse catalogs can still be traversed.
+     */
+    function giaStep(catalog, years, step) {
+        var target = years - (step > 1 ? 10 : step < -1 ? -10 : step) * 1000;
+        var entry = lookupGia(catalog, target);
+        if (entry && (step > 0 ? entry.years >= years : entry.years <= years)) {
+            entry = lookupGia(catalog, years, step > 0 ? 1 : -1);
+        }
+        return entry ? entry.years : null;
+    }
+
+    /**
+     * Combines the builders of two epochs into a builder for an epoch between them, so that buildGrid makes the grid
+     * of that epoch. Each point is interpolated linearly in time between its values at the two epochs. Both builders
+     * must have the same layout. Points missing at either epoch are missing from the blend.
+     *
+     * @param older the builder for the older epoch.
+     * @param newer the builder for the more recent epoch.
+     * @param {Number} t the fraction of the way from the older epoch to the newer, in [0, 1].
+     */
+    function blendBuilders(older, newer, t) {
+        var olderMissing = missingValues(older.header), newerMissing = missingValues(newer.header);
+
+        function blend(a, b) {
+            a = µ.isValue(a) && !_.contains(olderMissing, a) ? a : null;
+            b = µ.isValue(b) && !_.contains(newerMissing, b) ? b : null;
+            return µ.isValue(a) && µ.isValue(b) ? a + (b - a) * t : null;
+        }
+
+        return {
+            header: _.omit(older.header, "missingValue"),
+            interpolate: older.interpolate,
+            data: function(i) {
+                var a = older.data(i), b = newer.data(i);
+                if (_.isArray(a) || _.isArray(b)) {
+                    return a && b ? [blend(a[0], b[0]), blend(a[1], b[1])] : null;
+                }
+                return blend(a, b);
+            }
+        };
+    }
+
+    /**
+     * Combines two scalar grids into a grid of their difference, a − b, at each point. The points are those of a, so
+     * the grids may differ in layout. The operands remain available for display.
+     *
+     * @param a the grid of the minuend.
+     * @param b the grid of the subtrahend.
+     */
+    function differenceGrids(a, b) {
+        function difference(x, y) {
+            return µ.isValue(x) && µ.isValue(y) ? x - y : null;
+        }
+
+        return {
+            source: a.source,
+            date: a.date,
+            epoch: a.epoch,
+            interpolate: function(λ, φ) {
+                return difference(a.interpolate(λ, φ), b.interpolate(λ, φ));
+            },
+            /**
+             * @returns {Array} the values of both operands at the specified point: [a, b].
+             */
+            operands: function(λ, φ) {
+                return [a.interpolate(λ, φ), b.interpolate(λ, φ)];
+            },
+            forEachPoint: function(cb) {
+                a.forEachPoint(function(λ, φ, d) {
+                    cb(λ, φ, difference(d, b.interpolate(λ, φ)));
+                });
+            }
+        };
+    }
+
+    /**
+     * Nests grids of finer resolution and limited extent over a coarser grid. Each point takes its value from the
+     * last grid that has a value there, so regional inserts are used wherever they have coverage, and the first
+     * grid fills in everywhere else.
+     *
+     * @param {Array} grids the grids, coarsest first.
+     */
+    function nestGrids(grids) {
+        if (grids.length === 1) {
+            return grids[0];
+        }
+        var base = grids[0], inserts = _.rest(grids);
+
+        function interpolate(λ, φ) {
+            for (var k = grids.length - 1; k >= 0; k--) {
+                var value = grids[k].interpolate(λ, φ);
+                if (µ.isValue(value)) {
+                    return value;
+                }
+            }
+            return null;
+        }
+
+        return {
+            source: base.source,
+            date: base.date,
+            epoch: base.epoch,
+            interpolate: interpolate,
+            forEachPoint: function(cb) {
+                base.forEachPoint(function(λ, φ, d) {
+                    var covered = _.some(inserts, function(insert) { return µ.isValue(insert.interpolate(λ, φ)); });
+                    if (!covered) {
+                        cb(λ, φ, d);
+                    }
+                });
+                inserts.forEach(function(insert) {
+                    insert.forEachPoint(cb);
+                });
+            }
+        };
+    }
+
+    /**
+     * Returns a promise for the ice thickness grid at the configured epoch, in meters.
+     *
+     * @param attr the configuration attributes.
+     * @param cancel the cancel of the calling task.
+     */
+    function iceThickness(attr, cancel) {
+        return FACTORIES.ice.create(attr).then(function(product) {
+            return product.load(cancel);
+        });
+    }
+
+    /**
+     * Traces the margin of the ice sheets: the contour where the ice thins out.
+     *
+     * @param grid an ice thickness grid.
+     * @param {Number} [resolution] the spacing of the lattice the margin is traced on, in degrees. Default is 1.
+     * @returns {Object} a GeoJSON FeatureCollection holding the margin (see contour).
+     */
+    function iceMargin(grid, resolution) {
+        return contour(grid, [ICE_MARGIN_THICKNESS], resolution);
+    }
+
+    /**
+     * Loads the relative sea level grid of every epoch of the GIA catalog in turn, oldest first, and passes each to the
+     * callback as callback(grid, epoch, epochs). The epochs are loaded one after another, and their grids are cached
+     * (see loadEpochGrid), so visiting them again is cheap.
+     *
+     * @param attr the configuration attributes.
+     * @param {Function} callback the function to visit each grid.
+     * @param cancel the cancel of the calling task.
+     * @param {Function} [select] function(epochs) returning the epochs to visit, oldest first, when only some of the
+     *        epochs of the catalog are needed.
+     * @returns {Object} a promise for the GIA product of the configured epoch once every epoch has been visited, or
+     *          null if cancelled.
+     */
+    function forEachGiaEpoch(attr, callback, cancel, select) {
+        return FACTORIES.gia.create(attr).then(function(product) {
+            var epochs = select ? select(product.epochs) : product.epochs;
+            return when.reduce(epochs, function(product, epoch) {
+                if (cancel.requested) return product;
+                return FACTORIES.gia.create(_.extend({}, attr, {epoch: epoch})).then(function(epochProduct) {
+                    return epochProduct.load(cancel);
+                }).then(function(grid) {
+                    if (grid) {
+                        callback(grid, epoch, product.epochs);
+                    }
+                    return product;
+                });
+            }, product);
+        }).then(function(product) {
+            return cancel.requested ? null : product;
+        });
+    }
+
+    /**
+     * Samples relative sea level at the specified point in every epoch of the GIA catalog. See forEachGiaEpoch.
+     *
+     * @param attr the configuration attributes.
+     * @param {Number} λ longitude of the point.
+     * @param {Number} φ latitude of the point.
+     * @param cancel the cancel of the calling task.
+     * @returns {Object} a promise for {product: the GIA product, source: the source of the data, series: [{epoch:
+     *          years, value: m}, ...]}, the series oldest first with a null value wherever the point is a hole, or null
+     *          if cancelled.
+     */
+    function rslHistory(attr, λ, φ, cancel) {
+        var source = null, series = [];
+        return forEachGiaEpoch(attr, function(grid, epoch) {
+            source = grid.source;
+            series.push({epoch: epoch, value: grid.interpolate(λ, φ)});
+        }, cancel).then(function(product) {
+            return product && {product: product, source: source, series: series};
+        });
+    }
+
+    /**
+     * Returns a promise for the grid of the present-day rate of relative sea level change due to GIA, in mm/yr: the
+     * rate between the two most recent epochs of the catalog. See the gia_rate product.
+     *
+     * @param attr the configuration attributes.
+     * @param cancel the cancel of the calling task.
+     */
+    function presentGiaRate(attr, cancel) {
+        return FACTORIES.gia_rate.create(_.extend({}, attr, {epoch: null})).then(function(product) {
+            return product.load(cancel);
+        });
+    }
+
+    /**
+     * Returns a promise for the present-day topography and bathymetry grid, in meters above present sea level.
+     */
+    function loadTopography() {
+        var path = [topographyBase, "topography.json"].join("/");
+        return topography || (topography = loadGridFile(path).then(function(file) {
+            var data = file[0].data;
+            return buildMaskedGrid({
+                header: file[0].header,
+                interpolate: bilinearInterpolateScalar,
+                data: function(i) {
+                    return data[i];
+                }
+            }, path);
+        }).otherwise(function(error) {
+            topography = null;  // allow a later attempt to try again
+            throw error;
+        }));
+    }
+
+    /**
+     * Returns a promise for the paleotopography at the epoch of the specified relative sea level grid: present-day
+     * topography minus RSL. Land lies above zero, so the zero contour is the shoreline of that epoch.
+     *
+     * @param rsl the relative sea level grid.
+     */
+    function paleotopography(rsl) {
+        return loadTopography().then(function(topography) {
+            return _.extend(differenceGrids(topography, rsl), {epoch: rsl.epoch});
+        });
+    }
+
+    /**
+     * Samples a grid at the points of a regular lattice spanning the globe, from 180W to 180E and from 90N to 90S.
+     *
+     * @param grid a scalar grid.
+     * @param {Number} resolution the approximate spacing of the lattice, in degrees.
+     * @returns {Object} the lattice: {ni:, nj:, Δλ:, Δφ:, values: Float32Array}, with NaN for missing values.
+     */
+    function sampleGrid(grid, resolution) {
+        var ni = Math.round(360 / resolution) + 1, nj = Math.round(180 / resolution) + 1;
+        var Δλ = 360 / (ni - 1), Δφ = 180 / (nj - 1), values = new Float32Array(ni * nj);
+        for (var j = 0, p = 0; j < nj; j++) {
+            for (var i = 0; i < ni; i++, p++) {
+                var v = grid.interpolate(-180 + i * Δλ, 90 - j * Δφ);
+                values[p] = µ.isValue(v) ? v : NaN;
+            }
+        }
+        return {ni: ni, nj: nj, Δλ: Δλ, Δφ: Δφ, values: values};
+    }
+
+    // The lattice cell edges crossed by an isoline, for each case of marching squares. Corners at or above the level
+    // contribute to the case: 8 for top left, 4 for top right, 2 for bottom right and 1 for bottom left. The two
+    // saddles, 5 and 10, are listed twice: first for a cell center below the level, then for one at or above it.
+    var ISOLINE_SEGMENTS = {
+        1: [["L", "B"]], 2: [["B", "R"]], 3: [["L", "R"]], 4: [["T", "R"]], 6: [["T", "B"]], 7: [["L", "T"]],
+        8: [["L", "T"]], 9: [["T", "B"]], 11: [["T", "R"]], 12: [["L", "R"]], 13: [["B", "R"]], 14: [["L", "B"]],
+        5: [["L", "B"], ["T", "R"]], "5+": [["L", "T"], ["B", "R"]],
+        10: [["L", "T"], ["B", "R"]], "10+": [["L", "B"], ["T", "R"]]
+    };
+
+    /**
+     * Traces the isolines of a level through a lattice using marching squares. Each edge of the lattice that an
+     * isoline crosses is keyed by the index of its first point: 2p for the edge to the point on the right, and 2p+1
+     * for the edge to the point below. Segments are then joined end to end at shared edges.
+     *
+     * @returns {Array} the lines, each an array of [λ, φ] coordinates. Closed lines end where they start.
+     */
+    function traceIsolines(lattice, level) {
+        var ni = lattice.ni, nj = lattice.nj, values = lattice.values, links = {}, visited = {};
+
+        function link(a, b) {
+            (links[a] = links[a] || []).push(b);
+            (links[b] = links[b] || []).push(a);
+        }
+
+        function position(key) {
+            var p = key >> 1, q = key & 1 ? p + ni : p + 1, i = p % ni, j = (p - i) / ni;
+            var t = (level - values[p]) / (values[q] - values[p]);
+            return key & 1 ?
+                [-180 + i * lattice.Δλ, 90 - (j + t) * lattice.Δφ] :
+                [-180 + (i + t) * lattice.Δλ, 90 - j * lattice.Δφ];
+        }
+
+        for (var j = 0; j < nj - 1; j++) {
+            for (var i = 0; i < ni - 1; i++) {
+                var p = j * ni + i, a = values[p], b = values[p + 1], c = values[p + ni + 1], d = values[p + ni];
+                if (!(a === a && b === b && c === c && d === d)) {
+                    continue;  // skip cells with missing corners
+                }
+                var index = (a >= level ? 8 : 0) | (b >= level ? 4 : 0) | (c >= level ? 2 : 0) | (d >= level ? 1 : 0);
+                var segments = ISOLINE_SEGMENTS[index];
+                if (!segments) {
+                    continue;
+                }
+                if ((index === 5 || index === 10) && (a + b + c + d) / 4 >= level) {
+                    segments = ISOLINE_SEGMENTS[index + "+"];
+                }
+                var edges = {T: 2 * p, B: 2 * (p + ni), L: 2 * p + 1, R: 2 * (p + 1) + 1};
+                for (var k = 0; k < segments.length; k++) {
+                    link(edges[segments[k][0]], edges[segments[k][1]]);
+                }
+            }
+        }
+
+        function unvisited(key) {
+            return !visited[key];
+        }
+
+        function walk(start) {
+            var line = [], key = start, last;
+            while (µ.isValue(key)) {
+                visited[key] = true;
+                line.push(position(key));
+                last = key;
+                key = _.find(links[last], unvisited);
+            }
+            if (line.length > 2 && _.contains(links[last], start)) {
+                line.push(line[0]);  // close the loop
+            }
+            return line;
+        }
+
+        var keys = _.keys(links).map(Number), lines = [];
+        // Walk open lines from their ends first, then whatever remains are closed loops.
+        keys.forEach(function(key) {
+            if (!visited[key] && links[key].length === 1) {
+                lines.push(walk(key));
+            }
+        });
+        keys.forEach(function(key) {
+            if (!visited[key]) {
+                lines.push(walk(key));
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * @returns {Array} the multiples of interval within the range of the lattice's values. If there are more than
+     *          MAX_CONTOUR_LEVELS of them, the interval is widened to a multiple of itself.
+     */
+    function levelsOf(lattice, interval) {
+        var values = lattice.values, min = Infinity, max = -Infinity;
+        for (var p = 0; p < values.length; p++) {
+            var v = values[p];
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        if (!_.isFinite(min) || !_.isFinite(interval) || interval <= 0) {
+            return [];  // no values at all, or no sensible interval
+        }
+        interval *= Math.max(Math.ceil((max - min) / interval / (MAX_CONTOUR_LEVELS - 1)), 1);
+        var levels = [];
+        for (var k = Math.ceil(min / interval); k * interval <= max; k++) {
+            levels.push(k * interval);
+        }
+        return levels;
+    }
+
+    /**
+     * Traces the isolines of a scalar grid. The grid is sampled on a regular lattice (see sampleGrid), so any grid
+     * with an interpolate function will do, whatever its layout.
+     *
+     * @param grid a scalar grid.
+     * @param {Array|Number} levels the values to trace, for example [0] for the shoreline of a topography grid, or
+     *        the interval between them, for example 10 for isolines at every multiple of 10 within the grid's range.
+     * @param {Number} [resolution] the spacing of the lattice, in degrees. Default is 1.
+     * @returns {Object} a GeoJSON FeatureCollection holding one MultiLineString feature per level, with the level as
+     *          the "level" property.
+     */
+    function contour(grid, levels, resolution) {
+        var lattice = sampleGrid(grid, resolution || 1);
+        levels = _.isArray(levels) ? levels : levelsOf(lattice, levels);
+        return {
+            type: "FeatureCollection",
+            features: levels.map(function(level) {
+                return {
+                    type: "Feature",
+                    properties: {level: level},
+                    geometry: {type: "MultiLineString", coordinates: traceIsolines(lattice, level)}
+                };
+            })
+        };
+    }
+
+    /**
+     * Measures the land exposed and flooded at the epoch of a paleotopography grid (see paleotopography): exposed
+     * land lies below present sea level but above the sea level of the epoch, and flooded land the reverse. The grid
+     * is sampled at the centers of the cells of a regular lattice, each weighted by its area.
+     *
+     * @param grid a paleotopography grid.
+     * @param {Number} [resolution] the spacing of the lattice, in degrees. Default is 1.
+     * @returns {Object} the areas, in km²: {exposed:, flooded:}
+     */
+    function landAreaChange(grid, resolution) {
+        var ni = Math.round(360 / (resolution || 1)), nj = Math.round(180 / (resolution || 1));
+        var Δλ = 360 / ni, Δφ = 180 / nj, exposed = 0, flooded = 0;
+        for (var j = 0; j < nj; j++) {
+            var φ = 90 - (j + 0.5) * Δφ, φ0 = 90 - j * Δφ, φ1 = φ0 - Δφ;  // the cell's center, top and bottom
+            var area = EARTH_RADIUS * EARTH_RADIUS * (Δλ / 360 * τ) *
+                (Math.sin(φ0 / 360 * τ) - Math.sin(φ1 / 360 * τ));
+            for (var i = 0; i < ni; i++) {
+                var operands = grid.operands(-180 + (i + 0.5) * Δλ, φ), present = operands[0], rsl = operands[1];
+                if (µ.isValue(present) && µ.isValue(rsl)) {
+                    var paleo = present - rsl;
+                    if (present < 0 && paleo >= 0) {
+                        exposed += area;
+                    }
+                    else if (present >= 0 && paleo < 0) {
+                        flooded += area;
+                    }
+                }
+            }
+        }
+        return {exposed: exposed, flooded: flooded};
+    }
+
     function dataSource(header) {
         // noinspection FallthroughInSwitchStatementJS
         switch (header.center || header.centerName) {
@@ -618,6 +1591,100 @@ var products = function() {
         }
     }
 
+    /**
+     * Returns a promise for the grid file at the specified path. Files ending in ".bin" are in the binary grid format
+     * (see decodeGrid), and all others are JSON. Either way, the result has the same form, except that binary data
+     * arrays are Float32Arrays.
+     */
+    function loadGridFile(path) {
+        return /\.bin$/.test(path) ? µ.loadBinary(path).then(decodeGrid) : µ.loadJson(path);
+    }
+
+    /**
+     * Decodes a file in the binary grid format into the same form as a JSON grid file. The layout is:
+     *
+     *     uint32         length n of the descriptor, little-endian
+     *     n bytes        descriptor: ASCII JSON array of records, padded with spaces to a multiple of four bytes
+     *     payloads       the data of each record in turn, each padded to a multiple of four bytes
+     *
+     * Each record of the descriptor is a JSON grid record without its data, plus an encoding:
+     *
+     *     {header: {...}, time: [...], encoding: {type: "float32", missingValue: 9999}}
+     *     {header: {...}, encoding: {type: "int16", scaleFactor: 0.001, addOffset: 0, missingValue: -32768}}
+     *
+     * A record holds nx * ny values, or nx * ny values per time for a cube. Values are little-endian. Int16 values
+     * are decoded as value * scaleFactor + addOffset. Values equal to missingValue become NaN, which buildGrid
+     * treats as missing.
+     *
+     * @param {ArrayBuffer} buffer the contents of the file.
+     * @returns {Array} the decoded records: [{header: {...}, time: [...], data: Float32Array}, ...]
+     */
+    function decodeGrid(buffer) {
+        var view = new DataView(buffer), n = view.getUint32(0, true);
+        var descriptor = String.fromCharCode.apply(null, new Uint8Array(buffer, 4, n));
+        var offset = 4 + n;
+        return JSON.parse(descriptor).map(function(record) {
+            var header = record.header, encoding = record.encoding;
+            var count = header.nx * header.ny * (record.time ? record.time.length : 1);
+            var missing = encoding.missingValue, data = new Float32Array(count), i, x;
+            switch (encoding.type) {
+                case "float32":
+                    missing = new Float32Array([missing])[0];  // compare at the precision stored in the file
+                    for (i = 0; i < count; i++, offset += 4) {
+                        x = view.getFloat32(offset, true);
+                        data[i] = x === missing ? NaN : x;
+                    }
+                    break;
+                case "int16":
+                    var scale = µ.coalesce(encoding.scaleFactor, 1), add = µ.coalesce(encoding.addOffset, 0);
+                    for (i = 0; i < count; i++, offset += 2) {
+                        x = view.getInt16(offset, true);
+                        data[i] = x === missing ? NaN : x * scale + add;
+                    }
+                    offset += offset % 4;
+                    break;
+                default:
+                    throw new Error("unknown grid encoding: " + encoding.type);
+            }
+            return _.extend(_.omit(record, "encoding"), {data: data});
+        });
+    }
+
+    /**
+     * @returns {Array} the values the header declares as missing. See buildGrid.
+     */
+    function missingValues(header) {
+        return µ.isValue(header.missingValue) ? [].concat(header.missingValue) : [];
+    }
+
+    /**
+     * Returns a promise for the grid of the specified builder. If the builder's header names a mask, the mask grid is
+     * loaded too, from a path relative to the data file at the specified path. See buildGrid.
+     */
+    function buildMaskedGrid(builder, path) {
+        var name = builder.header.mask;
+        if (!name) {
+            return when(buildGrid(builder));
+        }
+        var maskPath = path.replace(/[^\/]*$/, name);
+        var mask = masks[maskPath] || (masks[maskPath] = loadGridFile(maskPath).then(function(file) {
+            var data = file[0].data;
+            return buildGrid({
+                header: file[0].header,
+                interpolate: bilinearInterpolateScalar,
+                data: function(i) {
+                    return data[i];
+                }
+            });
+        }).otherwise(function(error) {
+            delete masks[maskPath];  // allow a later attempt to try again
+            throw error;
+        }));
+        return mask.then(function(maskGrid) {
+            return buildGrid(builder, maskGrid);
+        });
+    }
+
     function bilinearInterpolateScalar(x, y, g00, g10, g01, g11) {
         var rx = (1 - x);
         var ry = (1 - y);
@@ -660,53 +1727,263 @@ var products = function() {
      *       }
      *     ]
      *
+     * Points equal to the header's missingValue, which may be a number or an array of numbers, are holes. So are
+     * points where the optional mask grid is missing or below one half, which allows masks of zeros and ones at any
+     * resolution.
+     *
+     * @param builder the builder of the grid's points.
+     * @param [mask] the mask grid, if any.
      */
-    function buildGrid(builder) {
+    function buildGrid(builder, mask) {
         // var builder = createBuilder(data);
-        var header = builder.header;
-        if (!header.refTime) {
-            var now = new Date();
-            now.setFullYear(header.timeValue * 1000);
-            header.refTime = now.toISOString();
-        }
-        if (!header.forecastTime) {
-            header.forecastTime = 0;
-        }
         // console.log("buildGrid");
         // console.log(builder.header);
         var header = builder.header;
         var λ0 = header.lo1, φ0 = header.la1;  // the grid's origin (e.g., 0.0E, 90.0N)
         var Δλ = header.dx, Δφ = header.dy;    // distance between grid points (e.g., 2.5 deg lon, 2.5 deg lat)
         var ni = header.nx, nj = header.ny;    // number of grid points W-E and N-S (e.g., 144 x 73)
-        var date = new Date(header.refTime);
-        date.setHours(date.getHours() + header.forecastTime);
+
+        // Points are read into scan mode 0 order: rows from north to south, each from west to east. The other scan
+        // modes flip either axis, scan columns rather than rows, or reverse every other row or column.
+        // http://www.nco.ncep.noaa.gov/pmb/docs/grib2/grib2_table3-4.shtml
+        var scanMode = header.scanMode || 0;
+        var reverseI = !!(scanMode & 0x80);     // points scan east to west, so lo1 is the easternmost column
+        var reverseJ = !!(scanMode & 0x40);     // points scan south to north, so la1 is the southernmost row
+        var columnMajor = !!(scanMode & 0x20);  // adjacent points run down columns rather than along rows
+        var alternating = !!(scanMode & 0x10);  // every other row (or column) scans in the opposite direction
+        var lats = header.lats, lons = header.lons;
+        if (reverseI) {
+            λ0 -= (ni - 1) * Δλ;
+            lons = lons && lons.slice().reverse();
+        }
+        if (reverseJ) {
+            φ0 += (nj - 1) * Δφ;
+            lats = lats && lats.slice().reverse();
+        }
+
+        // Irregular grids, such as Gaussian grids, list the latitude of each row and optionally the longitude of each
+        // column, in scan order. These coordinates take precedence over the origin and spacing of the header.
+        if (lons) {
+            // Make longitudes increase monotonically, even for regional grids that cross the antimeridian.
+            lons = lons.slice();
+            for (var k = 1; k < ni; k++) {
+                while (lons[k] < lons[k - 1]) {
+                    lons[k] += 360;
+                }
+            }
+            λ0 = lons[0];
+            Δλ = (lons[ni - 1] - λ0) / (ni - 1);  // average spacing, used only to detect wrapped grids
+        }
+        if (lats) {
+            φ0 = lats[0];
+        }
+
+        // Paleo grids carry their epoch as timeValue, in thousands of years before present, instead of a refTime.
+        // Static grids, such as present-day topography, carry neither.
+        var date = null, epoch = null;
+        if (µ.isValue(header.timeValue) && !header.refTime) {
+            epoch = Math.round(header.timeValue * 1000);
+        }
+        else if (header.refTime) {
+            date = new Date(header.refTime);
+            date.setHours(date.getHours() + (header.forecastTime || 0));
+        }
         // console.log("λ0: " + λ0);
         // console.log("φ0: " + φ0);
         // console.log("Δλ: " + Δλ);
         // console.log("Δφ: " + Δφ);
         // console.log("ni: " + ni);
         // console.log("nj: " + nj);
-        // Scan mode 0 assumed. Longitude increases from λ0, and latitude decreases from φ0.
-        // http://www.nco.ncep.noaa.gov/pmb/docs/grib2/grib2_table3-4.shtml
-        var grid = [], p = 0;
+        // Longitude increases from λ0, and latitude decreases from φ0.
+        //
+        // Points are stored row by row in a Float32Array, with NaN marking missing values. Scalars take one element
+        // per point, and vectors two: [u0, v0, u1, v1, ...]. Builders that bring their own interpolate function can
+        // produce points of any form, so their points are stored as is in a plain array.
+        var n = ni * nj, components = componentCount(builder);
+        // Only the builder's interpolate function is kept: the closures below must not refer to the builder, which
+        // holds the raw data of the file.
+        var interpolateCell = builder.interpolate;
+        var store = components > 0 ? new Float32Array(n * components) : new Array(n);
         var isContinuous = Math.floor(ni * Δλ) >= 360;
-        for (var j = 0; j < nj; j++) {
-            var row = [];
-            for (var i = 0; i < ni; i++, p++) {
-                row[i] = builder.data(p);
+        var source = scanMode === 0 ? _.identity : sourceIndex;
+        var missing = missingValues(header);
+        var p, v;
+        switch (components) {
+            case 1:
+                for (p = 0; p < n; p++) {
+                    v = builder.data(source(p));
+                    store[p] = isMissing(v) ? NaN : v;
+                }
+                break;
+            case 2:
+                for (p = 0; p < n; p++) {
+                    v = builder.data(source(p));
+                    store[2 * p] = v && !isMissing(v[0]) ? v[0] : NaN;
+                    store[2 * p + 1] = v && !isMissing(v[1]) ? v[1] : NaN;
+                }
+                break;
+            default:
+                for (p = 0; p < n; p++) {
+                    store[p] = builder.data(source(p));
+                }
+        }
+        if (mask) {
+            for (p = 0; p < n; p++) {
+                var i = p % ni, m = mask.interpolate(λAt(i), φAt((p - i) / ni));
+                if (!µ.isValue(m) || m < 0.5) {
+                    switch (components) {
+                        case 1:
+                            store[p] = NaN;
+                            break;
+                        case 2:
+                            store[2 * p] = store[2 * p + 1] = NaN;
+                            break;
+                        default:
+                            store[p] = null;
+                    }
+                }
+            }
+        }
+
+        function isMissing(x) {
+            return !µ.isValue(x) || _.contains(missing, x);
+        }
+
+        /**
+         * @returns {Number} the longitude of column i.
+         */
+        function λAt(i) {
+            return lons ? lons[i] : λ0 + i * Δλ;
+        }
+
+        /**
+         * @returns {Number} the latitude of row j.
+         */
+        function φAt(j) {
+            return lats ? lats[j] : φ0 - j * Δφ;
+        }
+
+        /**
+         * @returns {Number} the index, in the builder's scan order, of the point stored at index p.
+         */
+        function sourceIndex(p) {
+            var i = p % ni, j = (p - i) / ni;
+            var si = reverseI ? ni - 1 - i : i, sj = reverseJ ? nj - 1 - j : j;
+            if (columnMajor) {
+                return si * nj + (alternating && si % 2 ? nj - 1 - sj : sj);
+            }
+            return sj * ni + (alternating && sj % 2 ? ni - 1 - si : si);
+        }
+
+        // Global grids rarely have rows at the poles themselves. Points between the outermost row and the pole are
+        // interpolated towards a synthesised pole value: the zonal mean of the outermost row. Only scalars have caps,
+        // as the east and north components of vectors turn through a full circle around the pole, so their means
+        // are meaningless. Rows usually run from north to south, but an explicit lats array may run the other way.
+        var jN = φAt(0) >= φAt(nj - 1) ? 0 : nj - 1, jS = nj - 1 - jN;  // the northernmost and southernmost rows
+        var φN = φAt(jN), φS = φAt(jS);
+        var hasCaps = isContinuous && components === 1;
+        var northPole = hasCaps ? zonalMean(jN) : null, southPole = hasCaps ? zonalMean(jS) : null;
+
+        /**
+         * @returns {Array} the mean of each component over all non-missing points of row j, NaN if there are none.
+         */
+        function zonalMean(j) {
+            var means = [];
+            for (var k = 0; k < components; k++) {
+                var sum = 0, count = 0;
+                for (var i = 0; i < ni; i++) {
+                    var x = store[(j * ni + i) * components + k];
+                    if (x === x) {
+                        sum += x;
+                        count++;
+                    }
+                }
+                means[k] = count > 0 ? sum / count : NaN;
             }
-            if (isContinuous) {
-                // For wrapped grids, duplicate first column as last column to simplify interpolation logic
-                row.push(row[0]);
+            return means;
+        }
+
+        /**
+         * @returns {Number} the stored column for column index i, or -1 if i is off the grid. For wrapped grids, the
+         *          column after the last is the first.
+         */
+        function column(i) {
+            return i < ni ? i : isContinuous && i === ni ? 0 : -1;
+        }
+
+        /**
+         * @returns {*} the value of the point at index p, in the form produced by the builder, or null if missing.
+         */
+        function valueAt(p) {
+            switch (components) {
+                case 1:
+                    var s = store[p];
+                    return s === s ? s : null;
+                case 2:
+                    var u = store[2 * p], v = store[2 * p + 1];
+                    return u === u && v === v ? [u, v] : null;
+                default:
+                    return store[p];
+            }
+        }
+
+        /**
+         * @returns {Number} the fractional column index of longitude λ, or NaN if λ lies off the grid.
+         */
+        function columnIndex(λ) {
+            var x = µ.floorMod(λ - λ0, 360);  // offset from the first column, in wrapped range [0, 360)
+            if (!lons) {
+                return x / Δλ;
             }
-            grid[j] = row;
+            var last = lons[ni - 1] - λ0;
+            return x <= last ? fractionalIndex(lons, λ0 + x) :
+                isContinuous ? ni - 1 + (x - last) / (360 - last) :  // between the last column and the first
+                NaN;
+        }
+
+        /**
+         * @returns {Number} the fractional row index of latitude φ, or NaN if φ lies off an irregular grid.
+         */
+        function rowIndex(φ) {
+            return lats ? fractionalIndex(lats, φ) : (φ0 - φ) / Δφ;
+        }
+
+        /**
+         * @returns {*} the interpolated value for components a and b (b is ignored for scalars), or null if missing.
+         */
+        function toValue(a, b) {
+            return components === 1 ?
+                a === a ? a : null :
+                a === a && b === b ? [a, b, Math.sqrt(a * a + b * b)] : null;
+        }
+
+        /**
+         * @returns {*} the value at fractional column index i and latitude φ, which lies between the outermost row
+         *          and the pole. The value along the outermost row is interpolated linearly towards the pole value.
+         */
+        function interpolateCap(i, φ) {
+            var north = φ > φN, j = north ? jN : jS;
+            var φe = north ? φN : φS, φp = north ? 90 : -90, pole = north ? northPole : southPole;
+            var fi = Math.floor(i), x = i - fi, ci = column(fi + 1);
+            fi = column(fi);
+            if (fi < 0 || ci < 0) {
+                return null;
+            }
+            var t = φe === φp ? 0 : (φ - φe) / (φp - φe);  // 0 at the outermost row, 1 at the pole
+            var p0 = (j * ni + fi) * components, p1 = (j * ni + ci) * components, result = [];
+            for (var k = 0; k < components; k++) {
+                var edge = store[p0 + k] + (store[p1 + k] - store[p0 + k]) * x;
+                result[k] = edge + (pole[k] - edge) * t;
+            }
+            return toValue(result[0], result[1]);
         }
 
         function interpolate(λ, φ) {
-            var i = µ.floorMod(λ - λ0, 360) / (Δλ);  // calculate longitude index in wrapped range [0, 360)
-            var j = (φ0 - φ) / Δφ;                 // calculate latitude index in direction +90 to -90
-            // console.log("i: " + i);
-            // console.log("j: " + j);
+            var i = columnIndex(λ);  // calculate longitude index in wrapped range [0, 360)
+            if (hasCaps && (φ > φN || φ <= φS)) {
+                return interpolateCap(i, φ);
+            }
+            var j = rowIndex(φ);     // calculate latitude index in direction +90 to -90
 
             //         1      2           After converting λ and φ to fractional grid indexes i and j, we find the
             //        fi  i   ci          four points "G" that enclose point (i, j). These points are at the four
@@ -714,52 +1991,103 @@ var products = function() {
             //      ---G--|---G--- fj 8   i = 1.4 and j = 8.3, the four surrounding grid points are (1, 8), (2, 8),
             //    j ___|_ .   |           (1, 9) and (2, 9).
             //  =8.3   |      |
-            //      ---G------G--- cj 9   Note that for wrapped grids, the first column is duplicated as the last
-            //         |      |           column, so the index ci can be used without taking a modulo.
-
-            var fi = Math.floor(i), ci = fi + 1;
-            var fj = Math.floor(j), cj = fj + 1;
-            // console.log("fi: " + fi);
-            // console.log("ci: " + ci);
-            // console.log("fj: " + fj);
-            // console.log("cj: " + cj);
-
-            var row;
-            if ((row = grid[fj])) {
-                var g00 = row[fi];
-                var g10 = row[ci];
-                // console.log("g00: " + g00);
-                // console.log("g10: " + g10);
-                if (µ.isValue(g00) && µ.isValue(g10) && (row = grid[cj])) {
-                    var g01 = row[fi];
-                    var g11 = row[ci];
-                    // console.log("g01: " + g01);
-                    // console.log("g11: " + g11);
-                    if (µ.isValue(g01) && µ.isValue(g11)) {
+            //      ---G------G--- cj 9   Note that for wrapped grids, the column after the last is the first, so
+            //         |      |           the index ci wraps around to 0.
+
+            var fi = Math.floor(i), fj = Math.floor(j);
+            // Points lying exactly on the last column or row have no cell beyond them, so use the cell before.
+            if (i === ni - 1 && !isContinuous) fi--;
+            if (j === nj - 1) fj--;
+            var x = i - fi, y = j - fj;
+            var ci = column(fi + 1), cj = fj + 1;
+            fi = column(fi);
+            if (fi < 0 || ci < 0 || !(0 <= fj && cj < nj)) {
+                return null;
+            }
+            var p00 = fj * ni + fi, p10 = fj * ni + ci, p01 = cj * ni + fi, p11 = cj * ni + ci;
+            switch (components) {
+                case 1:
+                    // Missing points are NaN, and any NaN corner makes the result NaN.
+                    return toValue(bilinearInterpolateScalar(x, y, store[p00], store[p10], store[p01], store[p11]));
+                case 2:
+                    p00 *= 2; p10 *= 2; p01 *= 2; p11 *= 2;
+                    var u = bilinearInterpolateScalar(x, y, store[p00], store[p10], store[p01], store[p11]);
+                    var v = bilinearInterpolateScalar(
+                        x, y, store[p00 + 1], store[p10 + 1], store[p01 + 1], store[p11 + 1]);
+                    return toValue(u, v);
+                default:
+                    var g00 = store[p00], g10 = store[p10], g01 = store[p01], g11 = store[p11];
+                    if (µ.isValue(g00) && µ.isValue(g10) && µ.isValue(g01) && µ.isValue(g11)) {
                         // All four points found, so interpolate the value.
-                        return builder.interpolate(i - fi, j - fj, g00, g10, g01, g11);
+                        return interpolateCell(x, y, g00, g10, g01, g11);
                     }
-                }
+                    return null;
             }
-            // console.log("cannot interpolate: " + λ + "," + φ + ": " + fi + " " + ci + " " + fj + " " + cj);
-            return null;
         }
 
         return {
             source: dataSource(header),
             date: date,
+            epoch: epoch,
             interpolate: interpolate,
             forEachPoint: function(cb) {
-                for (var j = 0; j < nj; j++) {
-                    var row = grid[j] || [];
-                    for (var i = 0; i < ni; i++) {
-                        cb(µ.floorMod(180 + λ0 + i * Δλ, 360) - 180, φ0 - j * Δφ, row[i]);
+                for (var j = 0, p = 0; j < nj; j++) {
+                    for (var i = 0; i < ni; i++, p++) {
+                        cb(µ.floorMod(180 + λAt(i), 360) - 180, φAt(j), valueAt(p));
                     }
                 }
             }
         };
     }
 
+    /**
+     * @param {Array} coords coordinates, sorted in either ascending or descending order.
+     * @param {Number} x the coordinate to find.
+     * @returns {Number} the fractional index of x within coords, found by binary search, or NaN if x lies outside
+     *          the coordinates.
+     */
+    function fractionalIndex(coords, x) {
+        var lo = 0, hi = coords.length - 1, descending = coords[0] > coords[hi];
+        if (descending ? !(coords[hi] <= x && x <= coords[0]) : !(coords[0] <= x && x <= coords[hi])) {
+            return NaN;
+        }
+        if (hi === lo) {
+            return 0;
+        }
+        while (hi - lo > 1) {
+            var mid = (lo + hi) >> 1;
+            if (descending ? coords[mid] >= x : coords[mid] <= x) {
+                lo = mid;
+            }
+            else {
+                hi = mid;
+            }
+        }
+        return lo + (x - coords[lo]) / (coords[hi] - coords[lo]);
+    }
+
+    /**
+     * @returns {Number} the number of Float32 components each point of the builder's grid needs: 1 for scalars and
+     *          2 for vectors, or 0 if the builder interpolates its points itself and so must keep them as is.
+     */
+    function componentCount(builder) {
+        return builder.interpolate === bilinearInterpolateScalar ? 1 :
+            builder.interpolate === bilinearInterpolateVector ? 2 :
+            0;
+    }
+
+    /**
+     * @returns {Object} the grid whose vectors drive the particle animation: the primary grid if it is a vector
+     *          field, as for wind, otherwise the overlay grid if it is one, as for crustal motion in GIA mode. Null
+     *          if neither is, so there is nothing to animate.
+     */
+    function vectorGridOf(grids) {
+        return !grids ? null :
+            grids.primaryGrid.field === "vector" ? grids.primaryGrid :
+            grids.overlayGrid.field === "vector" ? grids.overlayGrid :
+            null;
+    }
+
     function productsFor(attributes) {
         var attr = _.clone(attributes), results = [];
         _.values(FACTORIES).forEach(function(factory) {
@@ -773,7 +2101,19 @@ var products = function() {
 
     return {
         overlayTypes: d3.set(_.keys(FACTORIES)),
-        productsFor: productsFor
+        productsFor: productsFor,
+        paleotopography: paleotopography,
+        iceThickness: iceThickness,
+        iceMargin: iceMargin,
+        forEachGiaEpoch: forEachGiaEpoch,
+        rslHistory: rslHistory,
+        presentGiaRate: presentGiaRate,
+        useCatalog: useCatalog,
+        useTopography: useTopography,
+        buildGrid: buildGrid,
+        vectorGridOf: vectorGridOf,
+        contour: contour,
+        landAreaChange: landAreaChange
     };
 
 }();